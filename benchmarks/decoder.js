@@ -0,0 +1,120 @@
+/**
+ * decoder.js - Throughput of the protocol decoder.
+ *
+ * Feeds the decoder the byte stream of a board streaming values at full
+ * speed, in chunks of the size serial ports usually deliver, and reports how
+ * many bytes and messages per second it gets through, compared with what a
+ * serial line can carry. Run it with "npm run benchmark".
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const protocol = require('../protocol');
+
+const {OpCodes, VarTypes} = protocol;
+
+// How many messages each stream holds
+const MESSAGE_COUNT = 100000;
+
+// Serial line speed we compare with, in bits per second. Each byte takes 10
+// bits on the line, counting the start and stop bits.
+const BAUD_RATE = 115200;
+const LINE_BYTES_PER_SECOND = BAUD_RATE / 10;
+
+// How many times each stream is decoded, keeping the fastest run
+const RUNS = 5;
+
+function variableValues() {
+  const messages = [];
+  for (let i = 0; i < MESSAGE_COUNT; i++) {
+    messages.push(protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      i % 16,
+      protocol.packValue(i - (MESSAGE_COUNT / 2), VarTypes.int)
+    ));
+  }
+  return messages;
+}
+
+function pushedValues() {
+  const messages = [];
+  for (let i = 0; i < MESSAGE_COUNT; i++) {
+    messages.push(protocol.encodeLongMessage(
+      OpCodes.broadcast,
+      0,
+      protocol.packString(`temperature=${i % 400}`)
+    ));
+  }
+  return messages;
+}
+
+function shortMessages() {
+  const messages = [];
+  for (let i = 0; i < MESSAGE_COUNT; i++) {
+    messages.push(protocol.encodeShortMessage(OpCodes.taskDone, i % 256));
+  }
+  return messages;
+}
+
+/**
+ * Insert a few bytes of noise between messages, as a board printing boot
+ * messages or a flaky cable would.
+ */
+function withNoise(messages) {
+  const noise = protocol.packString('\r\nets Jan  8 2013,rst:0x1\r\n')
+    // a header announcing a huge message, and a lone short message header
+    .concat([0xFB, OpCodes.variableValue, 0, 0xFF, 0x7F, 0xFA]);
+  return messages.map(function(message, i) {
+    return i % 10 === 0 ? noise.concat(message) : message;
+  });
+}
+
+/**
+ * Split a list of messages into one stream of fixed size chunks.
+ */
+function toChunks(messages, chunkSize) {
+  const stream = Buffer.from([].concat(...messages));
+  const chunks = [];
+  for (let offset = 0; offset < stream.length; offset += chunkSize) {
+    chunks.push(stream.subarray(offset, offset + chunkSize));
+  }
+  return {chunks, size: stream.length};
+}
+
+function run(name, messages, chunkSize) {
+  const stream = toChunks(messages, chunkSize);
+  let best = Infinity;
+  let decoded = 0;
+  for (let i = 0; i < RUNS; i++) {
+    const decoder = new protocol.Decoder();
+    decoded = 0;
+    const start = process.hrtime.bigint();
+    stream.chunks.forEach(function(chunk) {
+      decoded += decoder.push(chunk).length;
+    });
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e9;
+    best = Math.min(best, elapsed);
+  }
+  const bytesPerSecond = stream.size / best;
+  console.log(
+    `${name.padEnd(34)}` +
+    `${(bytesPerSecond / 1e6).toFixed(2).padStart(8)} MB/s` +
+    `${Math.round(decoded / best).toLocaleString('en').padStart(14)} msg/s` +
+    `${Math.round(bytesPerSecond / LINE_BYTES_PER_SECOND).toLocaleString('en')
+      .padStart(10)}x line`
+  );
+  if (decoded !== MESSAGE_COUNT) {
+    console.log(`  decoded ${decoded} of ${MESSAGE_COUNT} messages`);
+  }
+}
+
+console.log(`${MESSAGE_COUNT} messages per stream, line at ${BAUD_RATE} baud`);
+run('variable values, 64 byte chunks', variableValues(), 64);
+run('variable values, 4 kB chunks', variableValues(), 4096);
+run('pushed values, 64 byte chunks', pushedValues(), 64);
+run('short messages, 4 kB chunks', shortMessages(), 4096);
+run('variable values with noise', withNoise(variableValues()), 64);
@@ -0,0 +1,151 @@
+/**
+ * cache.js - Remembers the things we've seen, across gateway restarts.
+ *
+ * Each thing is stored with its description, in a JSON file in the add-on
+ * data directory, so it can be recreated at startup before its board is found
+ * again. Variable IDs aren't kept, the board may have been reflashed by then.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+const CACHE_FILE = 'things.json';
+
+// How long we wait before writing changes, so a burst of them, such as all
+// the things of a board, is written at once, in milliseconds
+const SAVE_DELAY = 1000;
+
+class ThingCache {
+  /**
+   * @param {dir} directory to keep the cache file in, or null to keep
+   *   things in memory only.
+   */
+  constructor(dir) {
+    this.file = dir ? path.join(dir, CACHE_FILE) : null;
+    // cached things, indexed by thing ID
+    this.entries = new Map();
+    this.saveTimer = null;
+  }
+
+  /**
+   * Read the cache file.
+   *
+   * @return {Promise} which resolves to the list of cached things, each an
+   *   object with id, description, radioDeviceID, index and portPath. A
+   *   missing or unreadable file gives an empty list.
+   */
+  load() {
+    return new Promise((resolve) => {
+      if (!this.file) {
+        resolve([]);
+        return;
+      }
+      fs.readFile(this.file, 'utf8', (err, text) => {
+        if (err) {
+          if (err.code !== 'ENOENT') {
+            log.warn('Failed to read thing cache:', err.message);
+          }
+          resolve([]);
+          return;
+        }
+        try {
+          JSON.parse(text).forEach((entry) => {
+            if (entry && typeof entry.id === 'string') {
+              this.entries.set(entry.id, entry);
+            } else {
+              log.warn('Ignoring cached thing without an id');
+            }
+          });
+        } catch (err) {
+          log.warn('Ignoring corrupt thing cache:', err.message);
+          this.entries.clear();
+        }
+        resolve([...this.entries.values()]);
+      });
+    });
+  }
+
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  /**
+   * Store a thing, replacing what we had for it.
+   *
+   * @param {entry} {id, description, radioDeviceID, index, portPath}
+   */
+  set(entry) {
+    this.entries.set(entry.id, entry);
+    this.scheduleSave();
+  }
+
+  delete(id) {
+    if (this.entries.delete(id)) {
+      this.scheduleSave();
+    }
+  }
+
+  scheduleSave() {
+    if (this.file && !this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+  }
+
+  /**
+   * Write pending changes now, such as when the adapter is unloaded.
+   *
+   * @return {Promise} which resolves once the file has been written.
+   */
+  flush() {
+    return this.saveTimer ? this.save() : Promise.resolve();
+  }
+
+  /**
+   * Write the cache file now. The file is replaced in one go, so it's never
+   * left half written.
+   *
+   * @return {Promise} which resolves once the file has been written.
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.file) {
+      return Promise.resolve();
+    }
+    const text = JSON.stringify([...this.entries.values()], null, 2);
+    const tempFile = `${this.file}.tmp`;
+    return new Promise((resolve) => {
+      fs.mkdir(path.dirname(this.file), {recursive: true}, (err) => {
+        if (err) {
+          log.warn('Failed to save thing cache:', err.message);
+          resolve();
+          return;
+        }
+        fs.writeFile(tempFile, text, (err) => {
+          if (err) {
+            log.warn('Failed to save thing cache:', err.message);
+            resolve();
+            return;
+          }
+          fs.rename(tempFile, this.file, (err) => {
+            if (err) {
+              log.warn('Failed to save thing cache:', err.message);
+            }
+            resolve();
+          });
+        });
+      });
+    });
+  }
+}
+
+module.exports = {
+  ThingCache,
+};
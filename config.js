@@ -0,0 +1,82 @@
+/**
+ * config.js - Loads the MicroBlocks adapter settings.
+ *
+ * Settings are edited by the user in the gateway add-on settings page, which
+ * stores them in the gateway config database. Defaults and schema live in the
+ * "options" section of manifest.json.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const manifest = require('./manifest.json');
+const {Database} = require('gateway-addon');
+const {parseNetworkBoard} = require('./ports');
+
+const DEFAULT_CONFIG = manifest.options.default;
+
+/**
+ * Read the adapter settings from the gateway config database.
+ *
+ * @return {Promise} which resolves to the settings, with defaults filled in
+ *   for anything missing.
+ */
+function loadConfig() {
+  const db = new Database(manifest.id);
+  return db.open().then(() => {
+    return db.loadConfig();
+  }).then((config) => {
+    db.close();
+    return Object.assign({}, DEFAULT_CONFIG, config);
+  });
+}
+
+/**
+ * Tell whether a port may be probed for boards.
+ *
+ * @param {port} port info, as returned by SerialPort.list() or
+ *   parseNetworkBoard.
+ * @param {config} adapter settings.
+ * @return {boolean} whether to probe it.
+ */
+function isPortAllowed(port, config) {
+  if (config.denyPorts.includes(port.path)) {
+    return false;
+  } else if (port.network) {
+    // network boards are only ever probed because they're in the settings
+    return true;
+  } else if (config.allowPorts.length > 0) {
+    return config.allowPorts.includes(port.path);
+  }
+  // Only USB devices can be MicroBlocks boards
+  return !!port.vendorId;
+}
+
+/**
+ * Tell whether the messages going through a port should all be logged.
+ * Network boards may be listed as in "Network boards", or by their path.
+ *
+ * @param {port} port info, as returned by SerialPort.list() or
+ *   parseNetworkBoard.
+ * @param {config} adapter settings.
+ * @return {boolean} whether to trace it.
+ */
+function isPortTraced(port, config) {
+  return config.tracePorts.some(function(entry) {
+    if (entry === port.path) {
+      return true;
+    }
+    const networkBoard = port.network && parseNetworkBoard(entry);
+    return !!networkBoard && networkBoard.path === port.path;
+  });
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  loadConfig,
+  isPortAllowed,
+  isPortTraced,
+};
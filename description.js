@@ -0,0 +1,534 @@
+/**
+ * description.js - Parsing and validation of thing descriptions.
+ *
+ * Boards describe themselves with a Web Thing description stored as JSON in
+ * their '_thing description' variable. Descriptions are written by hand, so
+ * we check them thoroughly and explain what's wrong, instead of failing on
+ * the first thing the adapter trips over.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const {VarTypes} = require('./protocol');
+
+// Property types that can be backed by a MicroBlocks variable, arrays being
+// byte arrays
+const PROPERTY_TYPES = ['boolean', 'integer', 'number', 'string', 'array'];
+
+// How much of the description to quote around a JSON syntax error
+const SNIPPET_LENGTH = 20;
+
+// Significant digits kept when scaling values, to get rid of floating point
+// noise such as 0.30000000000000004
+const SCALING_PRECISION = 12;
+
+// Most decimal places a scaled property can declare
+const MAX_DECIMALS = 9;
+
+class DescriptionError extends Error {
+  /**
+   * @param {message} summary of what's wrong.
+   * @param {problems} list of problems, as human readable strings.
+   */
+  constructor(message, problems) {
+    super(message);
+    this.name = 'DescriptionError';
+    this.problems = problems || [message];
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function isByteArray(value) {
+  return Array.isArray(value) && value.every(function(byte) {
+    return Number.isInteger(byte) && byte >= 0 && byte <= 255;
+  });
+}
+
+/**
+ * Tell whether a value fits a property type.
+ *
+ * @param {value} the value.
+ * @param {type} property type, one of PROPERTY_TYPES.
+ * @return {boolean}
+ */
+function fitsType(value, type) {
+  switch (type) {
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return isNumber(value);
+    case 'array':
+      return isByteArray(value);
+    default:
+      return typeof value === 'string';
+  }
+}
+
+/**
+ * Check the data schema of a property or action input.
+ *
+ * @param {schema} the property description or input schema.
+ * @param {where} how to refer to it in problem reports.
+ * @param {problems} list to add problems to.
+ */
+function validateSchema(schema, where, problems) {
+  if (!('type' in schema)) {
+    problems.push(`${where} has no type`);
+    return;
+  } else if (!PROPERTY_TYPES.includes(schema.type)) {
+    problems.push(
+      `${where} has type "${schema.type}", but MicroBlocks variables can only` +
+      ` hold ${PROPERTY_TYPES.join(', ')}`
+    );
+    return;
+  }
+
+  const numeric = schema.type === 'integer' || schema.type === 'number';
+  ['minimum', 'maximum', 'multipleOf'].forEach(function(keyword) {
+    if (keyword in schema && !numeric) {
+      problems.push(`${where} has a ${keyword}, but it isn't a number`);
+    } else if (keyword in schema && !isNumber(schema[keyword])) {
+      problems.push(`${where} has a ${keyword} that isn't a number`);
+    }
+  });
+  if (isNumber(schema.minimum) && isNumber(schema.maximum) &&
+      schema.minimum > schema.maximum) {
+    problems.push(`${where} has a minimum greater than its maximum`);
+  }
+  if (isNumber(schema.multipleOf) && schema.multipleOf <= 0) {
+    problems.push(`${where} has a multipleOf that isn't positive`);
+  }
+
+  if ('enum' in schema) {
+    if (!Array.isArray(schema.enum) || schema.enum.length === 0) {
+      problems.push(`${where} has an enum that isn't a list of values`);
+    } else {
+      schema.enum.forEach(function(value) {
+        if (!fitsType(value, schema.type)) {
+          problems.push(
+            `${where} lists ${JSON.stringify(value)} in its enum, which` +
+            ` isn't of type ${schema.type}`
+          );
+        }
+      });
+    }
+  }
+
+  if ('readOnly' in schema && typeof schema.readOnly !== 'boolean') {
+    problems.push(`${where} has a readOnly that isn't true or false`);
+  }
+  if ('unit' in schema && typeof schema.unit !== 'string') {
+    problems.push(`${where} has a unit that isn't a string`);
+  }
+}
+
+/**
+ * Check a poll interval, in the thing or in one of its properties.
+ */
+function validatePollInterval(description, where, problems) {
+  if ('pollInterval' in description &&
+      !(isNumber(description.pollInterval) && description.pollInterval >= 0)) {
+    problems.push(`${where} has a pollInterval that isn't a positive number`);
+  }
+}
+
+/**
+ * Check a group of interactions, such as the properties of a thing, and each
+ * interaction in it.
+ *
+ * @param {description} the thing description.
+ * @param {group} "properties", "events" or "actions".
+ * @param {kind} what each interaction in the group is called.
+ * @param {validateEach} function(name, interaction, where, problems).
+ * @param {problems} list to add problems to.
+ */
+function validateGroup(description, group, kind, validateEach, problems) {
+  if (!(group in description)) {
+    return;
+  } else if (!isObject(description[group])) {
+    problems.push(`"${group}" should be an object`);
+    return;
+  }
+  Object.keys(description[group]).forEach(function(name) {
+    const interaction = description[group][name];
+    const where = `${kind} "${name}"`;
+    if (name === '') {
+      problems.push(`There's a ${kind} with no name`);
+    } else if (!isObject(interaction)) {
+      problems.push(`${where} should be an object`);
+    } else {
+      validateEach(name, interaction, where, problems);
+    }
+  });
+}
+
+/**
+ * Check the scale, offset or decimal places of a fixed-point property.
+ */
+function validateScaling(property, where, problems) {
+  const keywords = ['scale', 'offset', 'decimals'].filter(function(keyword) {
+    return keyword in property;
+  });
+  if (keywords.length === 0) {
+    return;
+  } else if (property.type !== 'number') {
+    problems.push(
+      `${where} has a ${keywords[0]} key, but only properties of type` +
+      ' number can be scaled'
+    );
+    return;
+  }
+  if ('scale' in property && 'decimals' in property) {
+    problems.push(`${where} has both a scale and decimals, pick one`);
+  }
+  if ('scale' in property &&
+      !(isNumber(property.scale) && property.scale !== 0)) {
+    problems.push(`${where} has a scale that isn't a non-zero number`);
+  }
+  if ('offset' in property && !isNumber(property.offset)) {
+    problems.push(`${where} has an offset that isn't a number`);
+  }
+  if ('decimals' in property &&
+      !(Number.isInteger(property.decimals) && property.decimals >= 0 &&
+        property.decimals <= MAX_DECIMALS)) {
+    problems.push(
+      `${where} has decimals that aren't a whole number from 0 to` +
+      ` ${MAX_DECIMALS}`
+    );
+  }
+}
+
+function validateProperty(name, property, where, problems) {
+  validateSchema(property, where, problems);
+  validateScaling(property, where, problems);
+  validatePollInterval(property, where, problems);
+  if ('title' in property && typeof property.title !== 'string') {
+    problems.push(`${where} has a title that isn't a string`);
+  }
+}
+
+function validateEvent(name, event, where, problems) {
+  // events may carry data of a given type, sent as "<event name>:<data>"
+  if ('type' in event) {
+    validateSchema(event, where, problems);
+  }
+  // boards send events as broadcasts, which must not look like anything else
+  if (name.includes('=')) {
+    problems.push(`${where} has an "=" in its name, which is used for values`);
+  } else if (name.startsWith('moz-')) {
+    problems.push(`${where} starts with "moz-", which is used for radio`);
+  }
+}
+
+/**
+ * Check the input of an action. Inputs are written to board variables before
+ * the action is triggered, so they must have types variables can hold.
+ */
+function validateInput(input, where, problems) {
+  if (!isObject(input)) {
+    problems.push(`${where} has an input that isn't an object`);
+  } else if (input.type === 'object') {
+    // each input field is written to the variable with the same name
+    if (!isObject(input.properties)) {
+      problems.push(`${where} has an object input with no properties`);
+      return;
+    }
+    Object.keys(input.properties).forEach(function(varName) {
+      const field = `input "${varName}" of ${where}`;
+      if (isObject(input.properties[varName])) {
+        validateSchema(input.properties[varName], field, problems);
+      } else {
+        problems.push(`${field} should be an object`);
+      }
+    });
+  } else {
+    validateSchema(input, `input of ${where}`, problems);
+  }
+}
+
+function validateAction(name, action, where, problems) {
+  if ('timeout' in action &&
+      !(isNumber(action.timeout) && action.timeout > 0)) {
+    problems.push(`${where} has a timeout that isn't a positive number`);
+  }
+  if ('input' in action) {
+    validateInput(action.input, where, problems);
+  }
+}
+
+/**
+ * Check a thing description against what the adapter supports.
+ *
+ * @param {description} the parsed thing description.
+ * @return {Array} problems found, as human readable strings. Empty if the
+ *   description is fine.
+ */
+function validateThingDescription(description) {
+  const problems = [];
+  if (!isObject(description)) {
+    problems.push('The thing description should be an object');
+    return problems;
+  }
+  const title = description.title || description.name;
+  if (typeof title !== 'string' || title.trim() === '') {
+    problems.push('The thing has no title');
+  }
+  if ('@type' in description && !Array.isArray(description['@type'])) {
+    problems.push('"@type" should be a list');
+  }
+  validatePollInterval(description, 'The thing', problems);
+  validateGroup(
+    description, 'properties', 'property', validateProperty, problems);
+  validateGroup(description, 'events', 'event', validateEvent, problems);
+  validateGroup(description, 'actions', 'action', validateAction, problems);
+  return problems;
+}
+
+/**
+ * Describe where a JSON syntax error is, quoting the text around it.
+ *
+ * @param {text} the text that failed to parse.
+ * @param {err} the SyntaxError thrown by JSON.parse.
+ * @return {string}
+ */
+function describeSyntaxError(text, err) {
+  const match = /position (\d+)/.exec(err.message);
+  if (!match) {
+    return `The thing description isn't valid JSON: ${err.message}`;
+  }
+  const position = parseInt(match[1], 10);
+  const snippet = text.substring(
+    Math.max(0, position - SNIPPET_LENGTH),
+    position + SNIPPET_LENGTH
+  );
+  return `The thing description isn't valid JSON, near "${snippet}"`;
+}
+
+/**
+ * Check a list of thing descriptions, for boards that are several things.
+ *
+ * @param {descriptions} the list.
+ * @return {Array} the problems found, as human readable strings.
+ */
+function validateThingDescriptions(descriptions) {
+  if (descriptions.length === 0) {
+    return ['The list of thing descriptions is empty'];
+  }
+  const problems = [];
+  const boardIds = new Map();
+  descriptions.forEach(function(description, index) {
+    validateThingDescription(description).forEach(function(problem) {
+      problems.push(`Thing ${index + 1}: ${problem}`);
+    });
+    if (isObject(description) && 'boardId' in description) {
+      if (boardIds.has(description.boardId)) {
+        problems.push(
+          `Things ${boardIds.get(description.boardId) + 1} and ${index + 1}` +
+          ' have the same "boardId"');
+      } else {
+        boardIds.set(description.boardId, index);
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * Parse and validate the thing description read from a board, which may be
+ * a list of descriptions when the board is several things.
+ *
+ * Descriptions cut short after a property or event, or with an empty list of
+ * properties, are completed first, as older boards send them that way.
+ *
+ * @param {text} the description, or list of descriptions, as a JSON string.
+ * @return {Array} the thing descriptions.
+ * @throws {DescriptionError} listing everything that's wrong with them.
+ */
+function parseThingDescriptions(text) {
+  let json = text;
+  if (json.endsWith(',')) {
+    // close last property / event
+    json = `${json.slice(0, -1)}}}`;
+  } else if (json.endsWith('{')) {
+    // no properties
+    json = `${json}}}`;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    throw new DescriptionError(describeSyntaxError(json, err));
+  }
+
+  const descriptions = Array.isArray(parsed) ? parsed : [parsed];
+  const problems = Array.isArray(parsed) ?
+    validateThingDescriptions(parsed) :
+    validateThingDescription(parsed);
+  if (problems.length > 0) {
+    throw new DescriptionError(
+      `The thing description has ${problems.length} problem(s)`,
+      problems
+    );
+  }
+  descriptions.forEach(function(description) {
+    description.properties = description.properties || {};
+  });
+  return descriptions;
+}
+
+/**
+ * Check a value about to be written to a property against its description.
+ *
+ * @param {schema} the property description.
+ * @param {value} the new value.
+ * @return {string} what's wrong with the value, or null if it's fine.
+ */
+function checkValue(schema, value) {
+  if (PROPERTY_TYPES.includes(schema.type) && !fitsType(value, schema.type)) {
+    return `Value ${JSON.stringify(value)} is not of type ${schema.type}`;
+  } else if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    return `Value must be one of ${schema.enum.join(', ')}`;
+  } else if (typeof value !== 'number') {
+    return null;
+  } else if (isNumber(schema.minimum) && value < schema.minimum) {
+    return `Value must be at least ${schema.minimum}`;
+  } else if (isNumber(schema.maximum) && value > schema.maximum) {
+    return `Value must be at most ${schema.maximum}`;
+  } else if (isNumber(schema.multipleOf) && schema.multipleOf > 0) {
+    const ratio = value / schema.multipleOf;
+    // allow for rounding errors with fractional steps
+    if (Math.abs(ratio - Math.round(ratio)) > 1e-9) {
+      return `Value must be a multiple of ${schema.multipleOf}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the conversion between the integers a board variable holds and the
+ * values of a fixed-point property. The property value is the raw value
+ * multiplied by the scale, plus the offset. Declaring decimals instead of a
+ * scale is the same as a scale of 10 to the minus decimals.
+ *
+ * @param {description} the property description.
+ * @return {Object} {scale, offset}, or null if the property isn't scaled.
+ */
+function getScaling(description) {
+  if (!('scale' in description || 'offset' in description ||
+        'decimals' in description)) {
+    return null;
+  }
+  let scale = 1;
+  if (isNumber(description.scale)) {
+    scale = description.scale;
+  } else if (Number.isInteger(description.decimals)) {
+    scale = 10 ** -description.decimals;
+  }
+  const offset = isNumber(description.offset) ? description.offset : 0;
+  return {scale, offset};
+}
+
+function roundNoise(value) {
+  return parseFloat(value.toPrecision(SCALING_PRECISION));
+}
+
+/**
+ * Turn a raw board integer into a fixed-point property value.
+ *
+ * @param {scaling} {scale, offset}, as returned by getScaling.
+ * @param {raw} the integer held by the board variable.
+ * @return {number} the property value.
+ */
+function fromRaw(scaling, raw) {
+  return roundNoise((raw * scaling.scale) + scaling.offset);
+}
+
+/**
+ * Turn a fixed-point property value into the closest raw board integer,
+ * rounding halves away from zero.
+ *
+ * @param {scaling} {scale, offset}, as returned by getScaling.
+ * @param {value} the property value.
+ * @return {int} the integer to store in the board variable.
+ */
+function toRaw(scaling, value) {
+  const raw = roundNoise((value - scaling.offset) / scaling.scale);
+  return Math.sign(raw) * Math.round(Math.abs(raw));
+}
+
+/**
+ * Parse a value sent by a board as text, such as a pushed property value or
+ * the data of an event. Byte arrays are sent as comma separated bytes.
+ *
+ * @param {text} the value, as sent by the board.
+ * @param {type} the type it should have, one of PROPERTY_TYPES. Any other
+ *   type leaves the text as it is.
+ * @return {value} the value, or null if the text isn't of that type.
+ */
+function parseValue(text, type) {
+  let value = text;
+  if (type === 'boolean') {
+    value = text === 'true';
+  } else if (type === 'integer') {
+    value = parseInt(text, 10);
+  } else if (type === 'number') {
+    value = parseFloat(text);
+  } else if (type === 'array') {
+    value = text.split(',').filter(Boolean).map(function(byte) {
+      return Number(byte);
+    });
+    return isByteArray(value) ? value : null;
+  }
+  if (typeof value === 'number' && isNaN(value)) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Tell whether a MicroBlocks variable type can back a property type.
+ *
+ * @param {propertyType} property type, one of PROPERTY_TYPES.
+ * @param {varType} MicroBlocks type byte, as in protocol.VarTypes.
+ * @return {boolean}
+ */
+function isCompatibleVarType(propertyType, varType) {
+  switch (propertyType) {
+    case 'boolean':
+      return varType === VarTypes.boolean;
+    case 'integer':
+    case 'number':
+      return varType === VarTypes.int;
+    case 'array':
+      return varType === VarTypes.byteArray;
+    default:
+      return varType === VarTypes.string;
+  }
+}
+
+module.exports = {
+  DescriptionError,
+  PROPERTY_TYPES,
+  validateThingDescription,
+  parseThingDescriptions,
+  checkValue,
+  parseValue,
+  getScaling,
+  fromRaw,
+  toRaw,
+  isCompatibleVarType,
+};
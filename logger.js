@@ -0,0 +1,74 @@
+/**
+ * logger.js - Leveled logging for the MicroBlocks adapter.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+  trace: 4,
+};
+
+let currentLevel = LEVELS.info;
+
+/**
+ * Set the most verbose level that gets logged.
+ *
+ * @param {levelName} one of error, warn, info, debug or trace.
+ */
+function setLevel(levelName) {
+  if (levelName in LEVELS) {
+    currentLevel = LEVELS[levelName];
+  }
+}
+
+function isEnabled(levelName) {
+  return LEVELS[levelName] <= currentLevel;
+}
+
+function error(...args) {
+  if (isEnabled('error')) {
+    console.error(...args);
+  }
+}
+
+function warn(...args) {
+  if (isEnabled('warn')) {
+    console.warn(...args);
+  }
+}
+
+function info(...args) {
+  if (isEnabled('info')) {
+    console.log(...args);
+  }
+}
+
+function debug(...args) {
+  if (isEnabled('debug')) {
+    console.log(...args);
+  }
+}
+
+function trace(...args) {
+  if (isEnabled('trace')) {
+    console.log(...args);
+  }
+}
+
+module.exports = {
+  setLevel,
+  isEnabled,
+  error,
+  warn,
+  info,
+  debug,
+  trace,
+};
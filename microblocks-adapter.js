@@ -9,21 +9,113 @@
 'use strict';
 
 const crypto = require('crypto');
+const path = require('path');
 const manifest = require('./manifest.json');
 const SerialPort = require('serialport');
+const log = require('./logger');
+const protocol = require('./protocol');
+const {ThingCache} = require('./cache');
+const {
+  DEFAULT_CONFIG,
+  loadConfig,
+  isPortAllowed,
+  isPortTraced,
+} = require('./config');
+const {
+  DescriptionError,
+  parseThingDescriptions,
+  checkValue,
+  parseValue,
+  getScaling,
+  fromRaw,
+  toRaw,
+  isCompatibleVarType,
+} = require('./description');
+const {PortManager, openPort, parseNetworkBoard} = require('./ports');
+const {RadioReassembler, isRadioPacket, parseRadioPacket} = require('./radio');
+const {PortTracer} = require('./trace');
+const {MicroBlocksTransport, TimeoutError} = require('./transport');
 const {
   Adapter,
   Device,
   Property,
   Event,
+  Utils,
 } = require('gateway-addon');
 
+const {OpCodes} = protocol;
+
+// How often we look for newly plugged in boards, in milliseconds
+const PORT_SCAN_INTERVAL = 5000;
+
+// How long pairing lasts when the gateway doesn't say, in seconds
+const PAIRING_TIMEOUT = 60;
+
+// How long we wait for a board to report that an action is done, in
+// milliseconds, unless the action description says otherwise
+const ACTION_TIMEOUT = 30000;
+
+
+// Names of the property and events that report what boards print and the
+// errors they run into, unless the thing description uses them already
+const LAST_MESSAGE_PROPERTY = 'lastMessage';
+const OUTPUT_EVENT = 'output';
+const ERROR_EVENT = 'error';
+
+// Names of the property and actions that control the scripts on a board,
+// unless the thing description uses them already
+const RUNNING_PROPERTY = 'running';
+const START_ACTION = 'start';
+const STOP_ACTION = 'stop';
+const RESET_ACTION = 'reset';
+
+// How long a board takes to start over after a reset, in milliseconds
+const RESET_DELAY = 1000;
+
+// Directory where the traffic of traced ports is recorded, in the add-on
+// data directory
+const CAPTURE_DIR = 'captures';
+
+// Board variable holding the thing description, and broadcast by which a
+// board tells us it changed
+const THING_DESCRIPTION_VAR = '_thing description';
+const DESCRIPTION_CHANGED_MESSAGE = '_thing description changed';
+
+/**
+ * Tell whether two descriptions, or parts of them, are the same.
+ */
+function sameDescription(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Remove the interactions of one kind, such as properties, that a new thing
+ * description changes or no longer has, as well as the ones the adapter
+ * added on its own whose names the new description now uses.
+ *
+ * @param {interactions} Map of the current interactions, by name.
+ * @param {previous} the interactions in the previous description.
+ * @param {next} the interactions in the new description.
+ * @return {Array} names of the interactions removed.
+ */
+function removeStaleInteractions(interactions, previous, next) {
+  const removed = [...interactions.keys()].filter(function(name) {
+    return Object.keys(previous).includes(name) ?
+      !sameDescription(previous[name], next[name]) :
+      Object.keys(next).includes(name);
+  });
+  removed.forEach(function(name) {
+    interactions.delete(name);
+  });
+  return removed;
+}
+
+
 // Adapter
 
 class MicroBlocksProperty extends Property {
   constructor(device, description) {
     super(device, description.varName, description);
-    const myself = this;
     this.unit = description.unit;
     this.title = description.title;
     this.name = description.varName;
@@ -31,146 +123,1518 @@ class MicroBlocksProperty extends Property {
     this.varID = null;
     this.varType = null;
     this.setCachedValue(description.value);
-    this.requestingChange = false;
     this.device.notifyPropertyChanged(this);
+    // milliseconds between reads, 0 means the board pushes its values
+    this.ownPollInterval =
+      typeof description.pollInterval === 'number' ?
+        description.pollInterval :
+        null;
+    this.nextPoll = 0;
+    this.polling = false;
+    // fixed-point numbers are held by the board as scaled integers
+    this.scaling = getScaling(description);
+  }
+
+  get pollInterval() {
+    return this.ownPollInterval === null ?
+      this.device.pollInterval :
+      this.ownPollInterval;
+  }
+
+  /**
+   * Ask the board for the current value of this property, unless we're
+   * still waiting for the answer to a previous request.
+   */
+  poll() {
+    if (!this.device.serialPort) {
+      return;
+    } else if (this.device.radioDeviceID) {
+      // the answer comes back as a pushed value
+      this.device.requestRadioVariable(this.varName).catch((err) => {
+        log.debug('Failed to read', this.title, 'from', this.device.name,
+                  err.message);
+      });
+      return;
+    } else if (this.varID === null || this.polling) {
+      return;
+    }
+    this.polling = true;
+    this.device.transport.getVariable(this.varID, {retries: 0}).then(
+      (reply) => {
+        this.polling = false;
+        this.updateValue(reply.value, reply.type);
+      }
+    ).catch((err) => {
+      this.polling = false;
+      log.debug('Failed to read', this.title, 'from', this.device.name,
+                err.message);
+    });
+  }
+
+  /**
+   * Update the cached value with a value read from the board.
+   *
+   * @param {varValue} MicroBlocks variable content, properly typed
+   * @param {varType} MicroBlocks variable type byte
+   */
+  updateValue(varValue, varType) {
+    if (!this.varType && varType) {
+      log.debug('Setting var type to', varType, 'for', this.title);
+      this.varType = varType;
+      if (!isCompatibleVarType(this.type, varType)) {
+        this.device.adapter.reportProblems(
+          `Thing "${this.device.title}"`,
+          [`property "${this.varName}" is of type ${this.type}, but the` +
+           ` board variable is of type ${protocol.VarTypeNames[varType]}`],
+          this.device
+        );
+      }
+    }
+    const value = this.scaling && typeof varValue === 'number' ?
+      fromRaw(this.scaling, varValue) :
+      varValue;
+    // byte arrays come as new arrays every time
+    const changed = Array.isArray(value) ?
+      JSON.stringify(value) !== JSON.stringify(this.value) :
+      this.value !== value;
+    if (changed) {
+      this.setCachedValue(value);
+      this.device.notifyPropertyChanged(this);
+    }
+  }
+
+  /**
+   * Convert a property value to what the board variable holds.
+   *
+   * @param {value} the property value.
+   * @return {value} the value for the board.
+   */
+  toBoard(value) {
+    return this.scaling ? toRaw(this.scaling, value) : value;
+  }
+
+  /**
+   * Update the cached value with a value pushed by the board as text.
+   *
+   * @param {text} the value, as broadcast by the board.
+   */
+  updateValueFromString(text) {
+    const value = parseValue(text, this.type);
+    if (value === null) {
+      log.warn('Ignoring bad value', text, 'for', this.title);
+      return;
+    }
+    this.updateValue(value, this.varType);
+  }
+
+  setValue(value) {
+    return new Promise((resolve, reject) => {
+      const problem = this.checkWrite(value);
+      if (problem) {
+        log.warn('Not writing', JSON.stringify(value), 'to', this.title,
+                 `(${problem})`);
+        reject(problem);
+        return;
+      }
+      // fixed-point values end up rounded to what the board can hold
+      const rounded = this.scaling ?
+        fromRaw(this.scaling, this.toBoard(value)) :
+        value;
+      // checkWrite already did what Property.setValue would, and better: it
+      // takes integer enums and fractional multiples
+      // a poll may still bring back the previous value in the meantime
+      const written = this.setCachedValue(rounded);
+      this.writeValue(written).then(() => {
+        resolve(written);
+        this.device.notifyPropertyChanged(this);
+      }).catch((err) => {
+        reject(err instanceof Error ? err.message : err);
+      });
+    });
+  }
+
+  /**
+   * Check whether a value can be written to the board, according to the
+   * property description and to what we know of the board variable.
+   *
+   * @param {value} the new value.
+   * @return {string} why the value can't be written, or null if it can.
+   */
+  checkWrite(value) {
+    if (!this.device.serialPort) {
+      return 'Device is disconnected';
+    } else if (this.readOnly) {
+      return 'Read-only property';
+    }
+    const problem = checkValue(this, value);
+    if (problem) {
+      return problem;
+    } else if (this.device.radioDeviceID) {
+      // values are sent as text, the board works out their type
+      return null;
+    } else if (this.varID === null || !this.varType) {
+      return `Still waiting for the board to report variable ${this.varName}`;
+    } else if (!isCompatibleVarType(this.type, this.varType)) {
+      const varType = protocol.VarTypeNames[this.varType];
+      return `Board variable ${this.varName} is of type ${varType}`;
+    } else if (this.varType !== protocol.VarTypes.int) {
+      return null;
+    }
+    const raw = this.toBoard(value);
+    if (!Number.isInteger(raw)) {
+      return `Board variable ${this.varName} only holds whole numbers`;
+    } else if (raw < protocol.MIN_INT || raw > protocol.MAX_INT) {
+      return 'Value is out of the range of the board variable';
+    }
+    return null;
+  }
+
+  /**
+   * Write a value to the board variable behind this property. Boards behind
+   * a radio bridge are addressed by variable name, others by variable ID.
+   *
+   * @param {value} the new value.
+   * @return {Promise} which resolves when the value has been sent.
+   */
+  writeValue(value) {
+    const boardValue = this.toBoard(value);
+    if (this.device.radioDeviceID) {
+      return this.device.setVariable(this.varName, boardValue);
+    }
+    return this.device.transport.setVariable(
+      this.varID,
+      boardValue,
+      this.varType
+    );
+  }
+}
+
+/**
+ * Read-only property kept by the adapter rather than by a board variable,
+ * such as the last thing the board printed, so there's nothing to poll or
+ * write.
+ */
+class MicroBlocksLocalProperty extends Property {
+  constructor(device, name, description) {
+    super(device, name, Object.assign({readOnly: true}, description));
+    this.title = description.title;
+    this.varName = name;
+    this.varID = null;
+    this.pollInterval = 0;
+    this.nextPoll = 0;
+  }
+
+  poll() {
+    // nothing to read from the board
+  }
+
+  updateValue(value) {
+    if (this.value !== value) {
+      this.setCachedValue(value);
+      this.device.notifyPropertyChanged(this);
+    }
+  }
+
+  updateValueFromString(text) {
+    this.updateValue(parseValue(text, this.type));
+  }
+}
+
+class MicroBlocksDevice extends Device {
+  /**
+   * @param {adapter} the MicroBlocksAdapter.
+   * @param {thingDescription} the thing description, with the thing ID.
+   * @param {serialPort} port where the board is connected, or null.
+   * @param {radioDeviceID} radio ID of the board, if it's behind a bridge.
+   * @param {index} position of the thing among the things of its board.
+   */
+  constructor(adapter, thingDescription, serialPort, radioDeviceID, index) {
+    super(adapter, thingDescription.id, serialPort);
+    // the description as it came, to tell what changes when it's updated
+    this.thingDescription = JSON.parse(JSON.stringify(thingDescription));
+    this.id = thingDescription.id;
+    this.serialPort = serialPort;
+    // path of the port the board was last found at
+    this.portPath = serialPort ? serialPort.path : null;
+    this.radioDeviceID = radioDeviceID || null;
+    this.index = index || 0;
+    this.connected = true;
+    // IDs of all board variables, indexed by name
+    this.varIDs = new Map();
+    // whether the board has yet to be asked for the IDs
+    this.varIDsNeeded = true;
+    // actions waiting for the board to report completion
+    this.pendingActions = [];
+    // actions the adapter performs itself instead of broadcasting them
+    this.boardActions = new Set();
+    this.pollTimer = null;
+
+    this.describe(thingDescription);
+    this.addInteractions(thingDescription);
+    this.addMessageReporting();
+    this.addBoardControl();
+
+    this.schedulePoll();
+  }
+
+  /**
+   * Take the thing-wide fields of a thing description.
+   */
+  describe(thingDescription) {
+    this.title = this.name = thingDescription.title || thingDescription.name;
+    this.description = typeof thingDescription.description === 'string' ?
+      thingDescription.description :
+      '';
+    this.type = thingDescription.type;
+    this['@context'] =
+      thingDescription['@context'] || 'https://iot.mozilla.org/schemas';
+    this['@type'] = thingDescription['@type'] || [];
+    this.ownPollInterval =
+      typeof thingDescription.pollInterval === 'number' ?
+        thingDescription.pollInterval :
+        null;
+  }
+
+  /**
+   * Add the properties, events and actions of a thing description that the
+   * thing doesn't have yet.
+   */
+  addInteractions(thingDescription) {
+    const properties = thingDescription.properties || {};
+    Object.keys(properties).forEach((varName) => {
+      if (this.properties.has(varName)) {
+        return;
+      }
+      const description = properties[varName];
+      log.debug('Adding property', description.title);
+      description.varName = varName;
+      this.properties.set(
+        varName,
+        new MicroBlocksProperty(this, description)
+      );
+    });
+    const events = thingDescription.events || {};
+    Object.keys(events).forEach((eventName) => {
+      if (!this.events.has(eventName)) {
+        log.debug('Registering event', eventName);
+        this.addEvent(eventName, events[eventName]);
+      }
+    });
+    const actions = thingDescription.actions || {};
+    Object.keys(actions).forEach((actionName) => {
+      if (!this.actions.has(actionName)) {
+        log.debug('Registering action', actionName);
+        this.addAction(actionName, actions[actionName]);
+      }
+    });
+  }
+
+  /**
+   * Bring the thing in line with a new description sent by its board, after
+   * its program changed. Properties, events and actions that changed are
+   * replaced, new ones are added and the ones that are gone are removed,
+   * while the rest are kept as they are.
+   *
+   * @param {thingDescription} the new description, with the thing ID.
+   * @return {boolean} whether anything changed.
+   */
+  updateDescription(thingDescription) {
+    const previous = this.thingDescription;
+    if (sameDescription(previous, thingDescription)) {
+      return false;
+    }
+    this.thingDescription = JSON.parse(JSON.stringify(thingDescription));
+    this.describe(thingDescription);
+    removeStaleInteractions(
+      this.properties,
+      previous.properties || {},
+      thingDescription.properties || {}
+    );
+    removeStaleInteractions(
+      this.events,
+      previous.events || {},
+      thingDescription.events || {}
+    );
+    removeStaleInteractions(
+      this.actions,
+      previous.actions || {},
+      thingDescription.actions || {}
+    ).forEach((actionName) => {
+      this.boardActions.delete(actionName);
+      this.pendingActions.filter(function(pending) {
+        return pending.action.name === actionName;
+      }).forEach((pending) => this.endAction(pending, 'Action was removed'));
+    });
+    this.addInteractions(thingDescription);
+    this.addMessageReporting();
+    this.addBoardControl();
+    this.schedulePoll();
+    return true;
+  }
+
+  /**
+   * Add the actions that start, stop and reset the scripts on the board, and
+   * the property that tells whether they're running, unless the thing
+   * description already has interactions with the same names. Boards behind
+   * a radio bridge can't be controlled this way. Boards that are several
+   * things only get them on the first one.
+   */
+  addBoardControl() {
+    if (this.radioDeviceID || this.index > 0) {
+      return;
+    }
+    if (!this.properties.has(RUNNING_PROPERTY)) {
+      const property = new MicroBlocksLocalProperty(
+        this,
+        RUNNING_PROPERTY,
+        {title: 'Running', type: 'boolean'}
+      );
+      this.properties.set(RUNNING_PROPERTY, property);
+      // boards start their scripts when they're probed
+      property.setCachedValue(!!this.serialPort);
+    }
+    [
+      [START_ACTION, 'Start', 'Start all scripts on the board'],
+      [STOP_ACTION, 'Stop', 'Stop all scripts on the board'],
+      [RESET_ACTION, 'Reset', 'Restart the board'],
+    ].forEach(([name, title, description]) => {
+      if (!this.actions.has(name)) {
+        this.addAction(name, {title, description});
+        this.boardActions.add(name);
+      }
+    });
+  }
+
+  /**
+   * Start, stop or reset the scripts on the board, with the VM commands.
+   * The board program may change its variables as a result, so we ask for
+   * their IDs again afterwards.
+   *
+   * @param {action} the gateway Action, named START_ACTION, STOP_ACTION or
+   *   RESET_ACTION.
+   * @return {Promise} which resolves once the command has been sent.
+   */
+  controlBoard(action) {
+    const actionName = action.name;
+    if (!this.serialPort) {
+      this.failAction(action, 'Device is disconnected');
+      return Promise.reject('Device is disconnected');
+    }
+    let message = protocol.startAllMessage();
+    if (actionName === STOP_ACTION) {
+      message = protocol.stopAllMessage();
+    } else if (actionName === RESET_ACTION) {
+      message = protocol.systemResetMessage();
+    }
+    log.info('Performing action', actionName, 'on', this.title);
+    action.start();
+    return this.transport.send(message).then(() => {
+      action.finish();
+      // boards start their scripts again after a reset
+      this.setRunning(actionName !== STOP_ACTION);
+      setTimeout(
+        () => this.refreshVarIDs(),
+        actionName === RESET_ACTION ? RESET_DELAY : 0
+      );
+    }, (err) => {
+      this.failAction(action, err.message);
+      throw err.message;
+    });
+  }
+
+  setRunning(running) {
+    const property = this.properties.get(RUNNING_PROPERTY);
+    if (property instanceof MicroBlocksLocalProperty) {
+      property.updateValue(running);
+    }
+  }
+
+  /**
+   * Forget the variable IDs of the board, which change when it's reflashed.
+   */
+  forgetVarIDs() {
+    this.properties.forEach(function(property) {
+      property.varID = null;
+    });
+    this.varIDs.clear();
+    this.varIDsNeeded = true;
+  }
+
+  /**
+   * Ask the board for its variable IDs again, for all of its things.
+   */
+  refreshVarIDs() {
+    if (!this.serialPort) {
+      return;
+    }
+    this.adapter.devicesAtPort(this.serialPort, this.radioDeviceID).forEach(
+      function(device) {
+        device.forgetVarIDs();
+      }
+    );
+    this.adapter.requestVarNames(this.serialPort, this.radioDeviceID);
+  }
+
+  /**
+   * Add the property and events that report what the board prints and the
+   * errors it runs into, unless the thing description already has
+   * interactions with the same names. Boards that are several things only
+   * get them on the first one, and boards behind a radio bridge don't get
+   * them, as their output doesn't reach us.
+   */
+  addMessageReporting() {
+    if (this.radioDeviceID || this.index > 0) {
+      return;
+    }
+    if (!this.properties.has(LAST_MESSAGE_PROPERTY)) {
+      this.properties.set(
+        LAST_MESSAGE_PROPERTY,
+        new MicroBlocksLocalProperty(
+          this,
+          LAST_MESSAGE_PROPERTY,
+          {title: 'Last message', type: 'string'}
+        )
+      );
+    }
+    if (!this.events.has(OUTPUT_EVENT)) {
+      this.addEvent(OUTPUT_EVENT, {
+        title: 'Output',
+        description: 'The board printed something',
+        type: 'string',
+      });
+    }
+    if (!this.events.has(ERROR_EVENT)) {
+      this.addEvent(ERROR_EVENT, {
+        title: 'Error',
+        description: 'A script failed on the board',
+        type: 'string',
+      });
+    }
+  }
+
+  /**
+   * Report something the board printed, with the "say" block for instance.
+   *
+   * @param {value} the printed value.
+   */
+  processOutput(value) {
+    const text = String(value);
+    this.reportMessage(OUTPUT_EVENT, text);
+    if (this.adapter.config.logBoardOutput) {
+      log.info(`${this.title} says:`, text);
+    }
+  }
+
+  /**
+   * Report a script that failed on the board.
+   *
+   * @param {message} the taskError message, as returned by the protocol
+   *   decoder.
+   */
+  processError(message) {
+    const text = `${message.errorName} in script ${message.chunkID}`;
+    this.reportMessage(ERROR_EVENT, text);
+    if (this.adapter.config.logBoardOutput) {
+      log.warn(`${this.title} reports`, text);
+    }
+  }
+
+  reportMessage(eventName, text) {
+    const property = this.properties.get(LAST_MESSAGE_PROPERTY);
+    if (property instanceof MicroBlocksLocalProperty) {
+      property.updateValue(text);
+    }
+    this.eventNotify(new Event(this, eventName, text));
+  }
+
+  /**
+   * Set a timer for the next time a property is due to be read.
+   */
+  schedulePoll() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    const nextPoll = Math.min(...[...this.properties.values()].filter(
+      function(property) {
+        return property.pollInterval > 0;
+      }
+    ).map(function(property) {
+      return property.nextPoll;
+    }));
+    if (isFinite(nextPoll)) {
+      this.pollTimer = setTimeout(
+        () => this.pollProperties(),
+        Math.max(0, nextPoll - Date.now())
+      );
+    }
+  }
+
+  /**
+   * Read all properties that are due, in one go, and schedule the next round.
+   */
+  pollProperties() {
+    const now = Date.now();
+    this.properties.forEach(function(property) {
+      if (property.pollInterval > 0 && property.nextPoll <= now) {
+        property.nextPoll = now + property.pollInterval;
+        property.poll();
+      }
+    });
+    this.schedulePoll();
+  }
+
+  stopPolling() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Process an event sent by the board as an "<event name>" broadcast, or as
+   * "<event name>:<data>" for events that carry data. The data is parsed
+   * according to the type in the event description.
+   *
+   * @param {message} broadcast message content, as a string.
+   * @return {boolean} whether the message was one of our events.
+   */
+  processEvent(message) {
+    if (this.events.has(message)) {
+      log.info('Received event', message);
+      this.eventNotify(new Event(this, message));
+      return true;
+    }
+    // event names may contain colons themselves, the longest match wins
+    const eventName = [...this.events.keys()].filter(function(name) {
+      return message.startsWith(`${name}:`);
+    }).sort(function(a, b) {
+      return b.length - a.length;
+    })[0];
+    if (!eventName) {
+      return false;
+    }
+    const text = message.substring(eventName.length + 1);
+    const data = parseValue(text, (this.events.get(eventName) || {}).type);
+    if (data === null) {
+      log.warn('Ignoring event', eventName, 'with bad data', text);
+    } else {
+      log.info('Received event', eventName, 'with data', data);
+      this.eventNotify(new Event(this, eventName, data));
+    }
+    return true;
+  }
+
+  /**
+   * Process a value pushed by the board as a "<var name>=<value>" broadcast.
+   *
+   * @param {message} broadcast message content, as a string.
+   * @return {boolean} whether the message was a value for one of our
+   *   properties.
+   */
+  processPushedValue(message) {
+    const separator = message.indexOf('=');
+    if (separator < 1) {
+      return false;
+    }
+    const property = this.properties.get(message.substring(0, separator));
+    if (!property) {
+      return false;
+    }
+    property.updateValueFromString(message.substring(separator + 1));
+    return true;
+  }
+
+  get pollInterval() {
+    return this.ownPollInterval === null ?
+      this.adapter.config.pollInterval :
+      this.ownPollInterval;
+  }
+
+  get transport() {
+    return this.serialPort && this.serialPort.transport;
+  }
+
+  /**
+   * Send a broadcast to the board, going through the radio bridge if needed.
+   *
+   * @param {message} broadcast message content, as a string.
+   * @return {Promise} which resolves when the message has been sent.
+   */
+  sendBroadcast(message) {
+    if (this.radioDeviceID) {
+      return this.transport.broadcast(
+        `moz-broadcast${this.radioDeviceID}:${message}`);
+    }
+    return this.transport.broadcast(message);
+  }
+
+  /**
+   * Set a board variable by name. The MicroBlocks type is inferred from the
+   * JavaScript type of the value.
+   *
+   * @param {varName} name of the variable in the MicroBlocks program.
+   * @param {value} new value of the variable.
+   * @return {Promise} which resolves when the value has been sent.
+   */
+  setVariable(varName, value) {
+    if (this.radioDeviceID) {
+      return this.transport.broadcast(
+        `moz-set${this.radioDeviceID}:${varName}:${value}`);
+    }
+    if (!this.varIDs.has(varName)) {
+      throw new Error(`Unknown board variable: ${varName}`);
+    }
+    const varID = this.varIDs.get(varName);
+    let type = protocol.VarTypes.string;
+    if (typeof value === 'boolean') {
+      type = protocol.VarTypes.boolean;
+    } else if (typeof value === 'number') {
+      type = protocol.VarTypes.int;
+    } else if (Array.isArray(value)) {
+      type = protocol.VarTypes.byteArray;
+    }
+    return this.transport.setVariable(varID, value, type);
+  }
+
+  /**
+   * Ask a board behind a radio bridge for the value of a variable. The board
+   * answers with a "<var name>=<value>" message, just like when it pushes a
+   * value on its own.
+   *
+   * @param {varName} name of the variable in the MicroBlocks program.
+   * @return {Promise} which resolves when the request has been sent.
+   */
+  requestRadioVariable(varName) {
+    return this.transport.broadcast(`moz-get${this.radioDeviceID}:${varName}`);
+  }
+
+  /**
+   * Perform an action by broadcasting its name to the board. Action input is
+   * stored first in board variables: object inputs go to the variables named
+   * after each of their keys, other inputs to the variable named after the
+   * action. The action is completed when the board broadcasts
+   * "<action name> done". The start, stop and reset actions the adapter adds
+   * on its own are sent as VM commands instead. The gateway is told when the
+   * action starts, and when it completes or fails.
+   *
+   * @param {action} the gateway Action to perform.
+   * @return {Promise} which resolves when the board is done.
+   */
+  performAction(action) {
+    if (this.boardActions.has(action.name)) {
+      return this.controlBoard(action);
+    }
+    return new Promise((resolve, reject) => {
+      if (!this.serialPort) {
+        this.failAction(action, 'Device is disconnected');
+        reject('Device is disconnected');
+        return;
+      }
+      const description = this.actions.get(action.name) || {};
+      const writes = [];
+      try {
+        if (action.input !== null && typeof action.input === 'object') {
+          Object.keys(action.input).forEach((varName) => {
+            writes.push(this.setVariable(varName, action.input[varName]));
+          });
+        } else if (typeof action.input !== 'undefined' &&
+                   action.input !== null) {
+          writes.push(this.setVariable(action.name, action.input));
+        }
+      } catch (err) {
+        this.failAction(action, err.message);
+        reject(err.message);
+        return;
+      }
+      const pending = {action, resolve, reject};
+      pending.timeout = setTimeout(() => {
+        this.endAction(
+          pending,
+          `Board didn't finish action ${action.name} in time`
+        );
+      }, description.timeout ? description.timeout * 1000 : ACTION_TIMEOUT);
+      this.pendingActions.push(pending);
+      log.info('Performing action', action.name);
+      action.start();
+      writes.push(this.sendBroadcast(action.name));
+      Promise.all(writes).catch((err) => {
+        this.endAction(pending, err.message);
+      });
+    });
+  }
+
+  /**
+   * Tell the gateway an action failed. Actions only know how to start and
+   * finish, so the status is set here.
+   *
+   * @param {action} the gateway Action.
+   * @param {reason} why it failed.
+   */
+  failAction(action, reason) {
+    log.warn('Action', action.name, 'failed:', reason);
+    action.status = 'error';
+    action.timeCompleted = Utils.timestamp();
+    this.actionNotify(action);
+  }
+
+  /**
+   * Stop waiting for a pending action, completing it or, given a reason,
+   * failing it.
+   *
+   * @param {pending} the entry of the action in pendingActions.
+   * @param {reason} why the action failed, if it did.
+   */
+  endAction(pending, reason) {
+    const index = this.pendingActions.indexOf(pending);
+    if (index < 0) {
+      return;
+    }
+    clearTimeout(pending.timeout);
+    this.pendingActions.splice(index, 1);
+    if (reason) {
+      this.failAction(pending.action, reason);
+      pending.reject(reason);
+    } else {
+      pending.action.finish();
+      pending.resolve();
+    }
+  }
+
+  cancelAction(actionId, _actionName) {
+    const pending = this.pendingActions.find(function(each) {
+      return each.action.id === actionId;
+    });
+    if (pending) {
+      this.endAction(pending, 'Action cancelled');
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Give up on all actions waiting for the board.
+   *
+   * @param {reason} why the actions failed.
+   */
+  rejectPendingActions(reason) {
+    this.pendingActions.slice().forEach((pending) => {
+      this.endAction(pending, reason);
+    });
+  }
+
+  /**
+   * Complete the oldest pending action matching a completion broadcast.
+   *
+   * @param {message} broadcast message content, as a string.
+   * @return {boolean} whether the message completed an action.
+   */
+  completeAction(message) {
+    const pending = this.pendingActions.find(function(each) {
+      return message === `${each.action.name} done`;
+    });
+    if (pending) {
+      log.info('Board finished action', pending.action.name);
+      this.endAction(pending);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Bind this device to a (new) serial port, after its board has been
+   * plugged back in. Variable IDs may have changed if the board was
+   * reflashed, so we forget them.
+   *
+   * @param {serialPort} port where the board is now connected.
+   */
+  reattach(serialPort) {
+    this.serialPort = serialPort;
+    this.portPath = serialPort.path;
+    this.forgetVarIDs();
+    this.connected = true;
+    this.connectedNotify(true);
+    this.setRunning(true);
+  }
+
+  /**
+   * Mark this device as disconnected, keeping it and its properties around
+   * until its board comes back.
+   */
+  detach() {
+    this.rejectPendingActions('Device is disconnected');
+    this.serialPort = null;
+    this.connected = false;
+    this.connectedNotify(false);
+  }
+
+  findPropertyByID(varID) {
+    return [...this.properties.values()].find(function(property) {
+      return property.varID === varID;
+    });
+  }
+}
+
+class MicroBlocksAdapter extends Adapter {
+
+  constructor(addonManager) {
+    super(addonManager, manifest.name, manifest.id);
+    // boards are indexed by name
+    this.devices = new Map();
+    // ports we have open, and the things using each of them
+    this.ports = new PortManager();
+    // paths of ports that were probed and didn't answer, so we don't keep
+    // probing them while they stay plugged in
+    this.probedPorts = new Set();
+    // ports waiting for a board to send its thing description, by path
+    this.probes = new Map();
+    // ends pairing, while the gateway is looking for new things
+    this.pairingTimer = null;
+    // the port scan in progress, if any
+    this.scanning = null;
+    // reads the thing descriptions of boards every so often
+    this.descriptionChecker = null;
+    this.config = Object.assign({}, DEFAULT_CONFIG);
+    const dataDir = this.dataDir(addonManager);
+    this.cache = new ThingCache(dataDir);
+    this.captureDir = dataDir ? path.join(dataDir, CAPTURE_DIR) : null;
+
+    addonManager.addAdapter(this);
+
+    // resolves once the settings are loaded and the known things restored
+    this.ready = Promise.all([this.loadConfig(), this.restoreThings()])
+      .catch((err) => {
+        log.error('Failed to restore known things:', err);
+      });
+    this.ready.then(() => {
+      this.scanPorts();
+      this.portScanner =
+        setInterval(() => this.scanPorts(), PORT_SCAN_INTERVAL);
+    });
+  }
+
+  /**
+   * Find where the adapter may keep its files.
+   *
+   * @param {addonManager} the gateway add-on manager.
+   * @return {string} the add-on data directory, or null if the gateway
+   *   doesn't provide one.
+   */
+  dataDir(addonManager) {
+    const profile = addonManager.getUserProfile ?
+      addonManager.getUserProfile() :
+      null;
+    if (!profile || !profile.dataDir) {
+      return null;
+    }
+    return path.join(profile.dataDir, manifest.id);
+  }
+
+  /**
+   * Recreate the things we knew about last time, marked as disconnected until
+   * their boards are found again.
+   *
+   * @return {Promise} which resolves once they've been added.
+   */
+  restoreThings() {
+    return this.cache.load().then((entries) => {
+      entries.forEach((entry) => {
+        if (this.devices.has(entry.id)) {
+          return;
+        }
+        // one bad entry shouldn't keep the others, or the adapter, from
+        // starting
+        try {
+          this.restoreThing(entry);
+        } catch (err) {
+          log.warn('Skipping cached thing', entry.id, err.message);
+          this.cache.delete(entry.id);
+        }
+      });
+    });
+  }
+
+  /**
+   * Recreate one cached thing.
+   *
+   * @param {entry} the thing, as stored in the cache.
+   */
+  restoreThing(entry) {
+    const description = JSON.parse(JSON.stringify(entry.description));
+    description.id = entry.id;
+    const device = new MicroBlocksDevice(
+      this,
+      description,
+      null,
+      entry.radioDeviceID,
+      entry.index
+    );
+    device.portPath = entry.portPath || null;
+    device.connected = false;
+    this.devices.set(entry.id, device);
+    log.info('Restoring thing "', description.title, '" with id', device.id);
+    this.handleDeviceAdded(device);
+    device.connectedNotify(false);
+  }
+
+  /**
+   * Remember a thing for the next time the adapter starts.
+   *
+   * @param {device} the MicroBlocksDevice.
+   * @param {description} its thing description, as sent by the board.
+   */
+  cacheDevice(device, description) {
+    this.cache.set({
+      id: device.id,
+      description,
+      radioDeviceID: device.radioDeviceID,
+      index: device.index,
+      portPath: device.portPath,
+    });
+  }
+
+  /**
+   * Look for new boards for a while. Calling it again while pairing just
+   * extends the pairing time.
+   *
+   * @param {timeoutSeconds} how long to pair for, in seconds.
+   */
+  startPairing(timeoutSeconds) {
+    if (this.pairingTimer) {
+      log.debug('MicroBlocks adapter pairing extended');
+    } else {
+      log.info('MicroBlocks adapter pairing started');
+      // give ports that didn't answer before another chance
+      this.probedPorts.clear();
+      // and boards whose description we turned down, even if they didn't
+      // change it, so the pairing dialog tells what's wrong with it again
+      this.ports.forEach((serialPort) => {
+        if (serialPort.descriptionRejected) {
+          serialPort.descriptionText = null;
+          this.checkThingDescription(serialPort);
+        }
+      });
+    }
+    clearTimeout(this.pairingTimer);
+    this.pairingTimer = setTimeout(
+      () => this.stopPairing('timed out'),
+      (timeoutSeconds || PAIRING_TIMEOUT) * 1000
+    );
+    // pick up any settings changed since we started
+    this.loadConfig().then(() => this.scanPorts()).then((probing) => {
+      if (this.pairingTimer && probing === 0 && this.probes.size === 0) {
+        this.reportPairingProgress('No new MicroBlocks boards found');
+      }
+    });
+  }
+
+  cancelPairing() {
+    this.stopPairing('cancelled');
+  }
+
+  /**
+   * End pairing, giving up on the ports that haven't answered yet. They
+   * won't be probed again until they're plugged back in or pairing starts
+   * again.
+   *
+   * @param {reason} why pairing ended, for the log.
+   */
+  stopPairing(reason) {
+    if (!this.pairingTimer) {
+      return;
+    }
+    log.info('MicroBlocks adapter pairing', reason);
+    clearTimeout(this.pairingTimer);
+    this.pairingTimer = null;
+    this.probes.forEach((serialPort) => {
+      log.debug('Giving up on', serialPort.path);
+      this.endProbe(serialPort);
+      this.probedPorts.add(serialPort.path);
+      if (!this.ports.isInUse(serialPort) && serialPort.isOpen) {
+        serialPort.close();
+      }
+    });
+  }
+
+  /**
+   * Let the user know how pairing is going, in the pairing dialog of the
+   * gateway.
+   *
+   * @param {message} what's going on.
+   */
+  reportPairingProgress(message) {
+    log.info(message);
+    if (this.pairingTimer) {
+      this.sendPairingPrompt(message);
+    }
+  }
+
+  /**
+   * Read the adapter settings and apply them.
+   *
+   * @return {Promise} which resolves when the settings have been applied.
+   */
+  loadConfig() {
+    return loadConfig().then((config) => {
+      this.applyConfig(config);
+    }).catch((err) => {
+      log.error('Failed to load settings, using defaults:', err);
+    });
+  }
+
+  /**
+   * Apply new adapter settings to everything that's already running. Settings
+   * that only matter when opening a port, such as the baud rate, apply to
+   * ports opened from now on.
+   *
+   * @param {config} adapter settings.
+   */
+  applyConfig(config) {
+    this.config = config;
+    log.setLevel(config.logLevel);
+    this.ports.forEach((serialPort) => {
+      serialPort.transport.timeout = config.requestTimeout;
+      this.tracePort(serialPort);
+      if (!isPortAllowed(serialPort.portInfo, config)) {
+        log.info('Releasing', serialPort.path, 'as settings deny it');
+        this.releasePort(serialPort);
+      }
+    });
+    this.devices.forEach(function(device) {
+      // the default poll interval may have changed
+      device.schedulePoll();
+    });
+    this.scheduleDescriptionChecks();
+  }
 
-    this.poller = setInterval(
-      function() {
-        if (myself.varID && !myself.requestingChange) {
-          myself.device.serialPort.write([
-            0xFA,          // short message
-            0x07,          // getVarValue opCode
-            myself.varID,  // var ID
-          ]);
-          myself.device.serialPort.drain();
-        }
-      },
-      1000
-    );
+  /**
+   * Start reading the thing descriptions of boards every so often, as often
+   * as the settings say, to pick up changes to their programs.
+   */
+  scheduleDescriptionChecks() {
+    clearInterval(this.descriptionChecker);
+    this.descriptionChecker = null;
+    if (this.config.descriptionCheckInterval > 0) {
+      this.descriptionChecker = setInterval(
+        () => this.checkThingDescriptions(),
+        this.config.descriptionCheckInterval
+      );
+    }
   }
 
-  setValue(value) {
-    return new Promise((resolve, reject) => {
-      super.setValue(value).then((updatedValue) => {
-        this.device.serialPort.write(
-          this.device.adapter.packSetVariableMessage(
-            this.varID,
-            updatedValue,
-            this.varType
-          )
-        );
-        this.device.serialPort.drain();
-        resolve(updatedValue);
-        this.device.notifyPropertyChanged(this);
-      }).catch((err) => {
-        reject(err);
-      });
+  /**
+   * Read the thing descriptions of the boards we're connected to again,
+   * including the ones whose description we turned down, which may have
+   * been fixed since. Boards behind a radio bridge send theirs again on
+   * their own instead.
+   */
+  checkThingDescriptions() {
+    const serialPorts = new Set();
+    this.devices.forEach((device) => {
+      if (device.serialPort && !device.radioDeviceID &&
+          !this.probes.has(device.serialPort.path)) {
+        serialPorts.add(device.serialPort);
+      }
     });
+    this.ports.forEach((serialPort) => {
+      if (serialPort.descriptionRejected) {
+        serialPorts.add(serialPort);
+      }
+    });
+    serialPorts.forEach((serialPort) => this.checkThingDescription(serialPort));
   }
-}
 
-class MicroBlocksDevice extends Device {
-  constructor(adapter, thingDescription, serialPort, radioDeviceID) {
-    super(adapter, thingDescription.id, serialPort);
-    const myself = this;
-    this.title = this.name = thingDescription.title || thingDescription.name;
-    this.type = thingDescription.type;
-    this['@context'] =
-      thingDescription['@context'] || 'https://iot.mozilla.org/schemas';
-    this['@type'] = thingDescription['@type'] || [];
-    this.id = thingDescription.id;
-    this.serialPort = serialPort;
-    this.radioDeviceID = radioDeviceID || null;
+  /**
+   * Read the thing description of the board at a port again, and update its
+   * thing if the description changed since we last read it.
+   *
+   * @param {serialPort} port where the board is connected.
+   */
+  checkThingDescription(serialPort) {
+    serialPort.transport.getNamedVariable(
+      THING_DESCRIPTION_VAR,
+      {retries: 0}
+    ).then((reply) => {
+      if (reply.value !== serialPort.descriptionText) {
+        this.processThingDescription(serialPort, reply.value);
+      }
+    }).catch((err) => {
+      log.debug('Failed to read the thing description at', serialPort.path,
+                err.message);
+    });
+  }
 
-    Object.keys(thingDescription.properties).forEach(function(varName) {
-      const description = thingDescription.properties[varName];
-      console.log('Adding property', description.title);
-      description.varName = varName;
-      myself.properties.set(
-        varName,
-        new MicroBlocksProperty(myself, description)
-      );
+  /**
+   * Start or stop tracing the messages going through a port, according to
+   * the settings. Ports listed in the settings are traced at the info level,
+   * and recorded if the settings say so. Every other port is traced at the
+   * trace level.
+   *
+   * @param {serialPort} the port to trace.
+   */
+  tracePort(serialPort) {
+    const listed = isPortTraced(serialPort.portInfo, this.config);
+    const level = listed ? 'info' : 'trace';
+    const captureDir =
+      listed && this.config.captureTraffic ? this.captureDir : null;
+    const wanted = log.isEnabled(level) || !!captureDir;
+    const tracer = serialPort.tracer;
+    const capturing = !!(tracer && tracer.captureFile);
+    if (wanted && tracer && tracer.level === level &&
+        capturing === !!captureDir) {
+      return;
+    } else if (tracer) {
+      tracer.close();
+      serialPort.tracer = null;
+    }
+    if (wanted) {
+      serialPort.tracer =
+        new PortTracer(serialPort.portInfo, {level, captureDir});
+    }
+  }
+
+  /**
+   * Close a port, keeping the things behind it around as disconnected.
+   *
+   * @param {serialPort} the port to close.
+   */
+  releasePort(serialPort) {
+    this.ports.users(serialPort).forEach(function(device) {
+      device.detach();
     });
-    if (thingDescription.events) {
-      Object.keys(thingDescription.events).forEach(function(eventName) {
-        const description = thingDescription.events[eventName];
-        console.log('Registering event', eventName);
-        myself.addEvent(eventName, description);
+    if (serialPort.isOpen) {
+      serialPort.close();
+    }
+  }
+
+  /**
+   * Look for serial ports and network boards that we don't have open yet and
+   * probe them.
+   *
+   * @return {Promise} which resolves to the number of new ports being
+   *   probed.
+   */
+  scanPorts() {
+    if (!this.scanning) {
+      this.scanning = this.listPorts().then((probing) => {
+        this.scanning = null;
+        return probing;
       });
     }
+    return this.scanning;
   }
 
-  findPropertyByID(varID) {
-    return [...this.properties.values()].find(function(property) {
-      return property.varID === varID;
+  listPorts() {
+    return SerialPort.list().catch((err) => {
+      // network boards can still be reached
+      log.warn('Failed to list serial ports:', err.message);
+      return [];
+    }).then((serialPorts) => {
+      const ports = serialPorts.concat(this.networkBoards());
+      const paths = ports.map((port) => port.path);
+      // forget about unresponsive ports that are gone, so they get probed
+      // again when something is plugged back in
+      this.probedPorts.forEach((portPath) => {
+        if (!paths.includes(portPath)) {
+          this.probedPorts.delete(portPath);
+        }
+      });
+      const newPorts = ports.filter((port) => {
+        return !this.ports.has(port.path) &&
+          !this.probedPorts.has(port.path) &&
+          !this.isPathInUse(port.path) &&
+          isPortAllowed(port, this.config);
+      });
+      newPorts.forEach((port) => this.probePort(port));
+      return newPorts.length;
+    }).catch((err) => {
+      log.error('Failed to probe ports:', err);
+      return 0;
     });
   }
-}
 
-class MicroBlocksAdapter extends Adapter {
+  /**
+   * @return {Array} port info for the network boards in the settings.
+   */
+  networkBoards() {
+    return this.config.networkBoards.map(function(entry) {
+      const port = parseNetworkBoard(entry);
+      if (!port) {
+        log.warn('Ignoring malformed network board', entry);
+      }
+      return port;
+    }).filter(Boolean);
+  }
 
-  constructor(addonManager) {
-    super(addonManager, manifest.name, manifest.id);
-    // boards are indexed by name
-    this.devices = new Map();
-    this.radioPackets = {};
+  /**
+   * Work out a thing ID that tells a board apart from any other and stays the
+   * same across restarts. In order of preference, we build it out of the
+   * "boardId" in the thing description, the radio ID of boards behind a
+   * bridge, the USB serial number or the network address of the board. Boards
+   * with none of these fall back to their title, see titleKey. Boards that
+   * are several things get the position of the thing appended, from the
+   * second one on.
+   *
+   * @param {serialPort} port where the board is connected.
+   * @param {description} thing description sent by the board.
+   * @param {radioDeviceID} radio ID of the board, if it's behind a bridge.
+   * @param {index} position of the thing among the things of the board.
+   * @return {string} the thing ID.
+   */
+  thingID(serialPort, description, radioDeviceID, index) {
+    const portInfo = serialPort.portInfo || {};
+    let key;
+    if (description.boardId) {
+      return this.hashID(`board:${description.boardId}`);
+    } else if (radioDeviceID) {
+      key = `radio:${radioDeviceID}`;
+    } else if (portInfo.serialNumber) {
+      key = [
+        'usb',
+        portInfo.vendorId,
+        portInfo.productId,
+        portInfo.serialNumber,
+      ].join(':');
+    } else if (portInfo.network) {
+      key = `net:${portInfo.path}`;
+    } else {
+      return this.hashID(this.titleKey(serialPort, description, index));
+    }
+    if (index > 0) {
+      key = `${key}#${index + 1}`;
+    }
+    return this.hashID(key);
+  }
 
-    addonManager.addAdapter(this);
+  /**
+   * Work out the key of a thing ID for a board with nothing unique about it.
+   * Things used to be told apart by their title alone, and the board that
+   * has that ID keeps it, along with its rules. Other boards running the
+   * same program are told apart by the path of their port. We remember where
+   * each thing was last found, so this doesn't depend on which board we find
+   * first after a restart.
+   *
+   * @param {serialPort} port where the board is connected.
+   * @param {description} thing description sent by the board.
+   * @param {index} position of the thing among the things of the board.
+   * @return {string} the key.
+   */
+  titleKey(serialPort, description, index) {
+    const suffix = index > 0 ? `#${index + 1}` : '';
+    const byPort = `${description.title}@${serialPort.path}${suffix}`;
+    if (this.devices.has(this.hashID(byPort))) {
+      return byPort;
+    }
+    const byTitle = `${description.title}${suffix}`;
+    const owner = this.devices.get(this.hashID(byTitle));
+    // things cached before we remembered ports go to the first board found
+    if (!owner || (owner.portPath || serialPort.path) === serialPort.path) {
+      return byTitle;
+    }
+    return byPort;
+  }
 
-    this.startPairing();
+  hashID(key) {
+    const shasum = crypto.createHash('sha1');
+    shasum.update(key);
+    return `microblocks-${shasum.digest('hex')}`;
   }
 
-  startPairing(_timeoutSeconds) {
-    console.log('MicroBlocks adapter pairing started');
-    const myself = this;
-    SerialPort.list().then(function(ports) {
-      ports.forEach(function(port) {
-        myself.probePort(port);
-      });
+  /**
+   * Add the things described by a board, or bring them up to date if we have
+   * them already. Things the board used to be, but no longer describes, are
+   * kept around as disconnected.
+   *
+   * @param {serialPort} port where the board is connected.
+   * @param {descriptions} thing descriptions sent by the board.
+   * @param {radioDeviceID} radio ID of the board, if it's behind a bridge.
+   */
+  addDevices(serialPort, descriptions, radioDeviceID) {
+    const formerDevices = this.devicesAtPort(serialPort, radioDeviceID);
+    const devices = descriptions.map((description, index) => {
+      return this.addDevice(serialPort, description, radioDeviceID, index);
+    });
+    // the board sends the IDs of its variables for all of its things at once
+    if (devices.some((device) => device && device.varIDsNeeded)) {
+      this.requestVarNames(serialPort, radioDeviceID);
+    }
+    formerDevices.forEach((device) => {
+      if (!devices.includes(device)) {
+        log.info('Thing "', device.title, '" is no longer at',
+                 serialPort.path);
+        device.detach();
+        this.ports.removeUser(serialPort, device);
+      }
     });
   }
 
-  addDevice(serialPort, description, radioDeviceID) {
-    this.discoveredDevice(serialPort);
-    const shasum = crypto.createHash('sha1');
-    shasum.update(description.title);
-    description.id = `microblocks-${shasum.digest('hex')}`;
-    if (!this.devices.has(description.id)) {
-      const device =
-        new MicroBlocksDevice(this, description, serialPort, radioDeviceID);
+  /**
+   * Add the thing described by a board, or bring it up to date if we have it
+   * already. Things keep their IDs, and their rules in the gateway, when
+   * their boards come back with new programs.
+   *
+   * @param {serialPort} port where the board is connected.
+   * @param {description} thing description sent by the board.
+   * @param {radioDeviceID} radio ID of the board, if it's behind a bridge.
+   * @param {index} position of the thing among the things of the board.
+   * @return {MicroBlocksDevice} the thing, or undefined if it's connected
+   *   somewhere else already.
+   */
+  addDevice(serialPort, description, radioDeviceID, index) {
+    description.id =
+      this.thingID(serialPort, description, radioDeviceID, index);
+    // the device adds its own bits to the description, keep it as it came
+    const original = JSON.parse(JSON.stringify(description));
+    const existingDevice = this.devices.get(description.id);
+    if (existingDevice && !existingDevice.connected) {
+      log.info('Reattaching thing "', description.title, '" at',
+               serialPort.path);
+      existingDevice.reattach(serialPort);
+      this.ports.addUser(serialPort, existingDevice);
+      if (existingDevice.updateDescription(description)) {
+        log.info('Updating thing "', description.title, '" with id',
+                 existingDevice.id);
+        this.handleDeviceAdded(existingDevice);
+      }
+      this.cacheDevice(existingDevice, original);
+      return existingDevice;
+    } else if (!existingDevice) {
+      const device = new MicroBlocksDevice(
+        this,
+        description,
+        serialPort,
+        radioDeviceID,
+        index
+      );
       this.devices.set(description.id, device);
-      console.log('Adding thing "', description.title, '" with id', device.id);
+      this.ports.addUser(serialPort, device);
+      log.info('Adding thing "', description.title, '" with id', device.id);
       this.handleDeviceAdded(device);
-      // Request variable IDs associated with device properties
-      if (radioDeviceID) {
-        serialPort.write(
-          this.packBroadcastMessage(`moz-get-vars${radioDeviceID}`)
-        );
-      } else {
-        serialPort.write([
-          0xFA,       // short message
-          0x09,       // getVarNames opCode
-          0x00,       // object ID (irrelevant)
-        ]);
-      }
-      serialPort.drain();
+      this.cacheDevice(device, original);
       return device;
-    } else {
-      console.log('Found existing thing named', description.title);
+    } else if (existingDevice.serialPort === serialPort &&
+               existingDevice.radioDeviceID === (radioDeviceID || null)) {
+      // the same board, whose description may have changed
+      existingDevice.index = index;
+      if (existingDevice.updateDescription(description)) {
+        log.info('Updating thing "', description.title, '" with id',
+                 existingDevice.id);
+        // the gateway picks the changes up when the thing is added again
+        this.handleDeviceAdded(existingDevice);
+        this.cacheDevice(existingDevice, original);
+        existingDevice.forgetVarIDs();
+      }
+      return existingDevice;
+    }
+    log.debug('Found existing thing named', description.title);
+  }
+
+  /**
+   * Request variable IDs associated with device properties.
+   *
+   * @param {serialPort} port where the device is connected.
+   * @param {radioDeviceID} radio ID of the device, if it's behind a bridge.
+   */
+  requestVarNames(serialPort, radioDeviceID) {
+    this.devicesAtPort(serialPort, radioDeviceID).forEach(function(device) {
+      device.varIDsNeeded = false;
+    });
+    if (radioDeviceID) {
+      // boards behind a radio bridge are addressed by variable name, so
+      // there are no IDs to look up, we just ask for the current values
+      this.devicesAtPort(serialPort, radioDeviceID).forEach(function(device) {
+        device.properties.forEach(function(property) {
+          property.poll();
+        });
+      });
+      return;
     }
+    serialPort.transport.getVarNames().then((varIDs) => {
+      varIDs.forEach((varID, varName) => {
+        this.processVariableName(serialPort, varID, varName);
+      });
+    }).catch((err) => {
+      log.error('Failed to get variable names from', serialPort.path,
+                err.message);
+    });
   }
 
-  deviceAtPort(serialPort, radioDeviceID) {
-    return [...this.devices.values()].find(
+  /**
+   * Find the things of the board at a port, in the order the board describes
+   * them.
+   *
+   * @param {serialPort} port where the board is connected.
+   * @param {radioDeviceID} radio ID of the board, if it's behind a bridge.
+   * @return {Array} the MicroBlocksDevices.
+   */
+  devicesAtPort(serialPort, radioDeviceID) {
+    return [...this.devices.values()].filter(
       function(device) {
         return (device.serialPort === serialPort) &&
               (device.radioDeviceID === (radioDeviceID || null));
       }
-    );
+    ).sort(function(a, b) {
+      return a.index - b.index;
+    });
   }
 
-  cancelPairing() {
-    // how to get to the serialport instance to close it?
+  /**
+   * Find the thing that reports what the board at a port prints, which is
+   * its first thing.
+   *
+   * @param {serialPort} port where the board is connected.
+   * @return {MicroBlocksDevice} the thing, or undefined.
+   */
+  deviceAtPort(serialPort) {
+    return this.devicesAtPort(serialPort).find(function(device) {
+      return device.index === 0;
+    });
+  }
+
+  /**
+   * Tell whether a connected thing is bound to the port at a path.
+   *
+   * @param {path} the port path.
+   * @return {boolean}
+   */
+  isPathInUse(path) {
+    return [...this.devices.values()].some(function(device) {
+      return device.serialPort && device.serialPort.path === path;
+    });
+  }
+
+  /**
+   * Forget about a port as being probed, once its board has answered or
+   * failed to.
+   *
+   * @param {serialPort} the probed port.
+   * @return {boolean} whether the port was still being probed.
+   */
+  endProbe(serialPort) {
+    if (this.probes.get(serialPort.path) !== serialPort) {
+      return false;
+    }
+    this.probes.delete(serialPort.path);
+    return true;
+  }
+
+  /**
+   * Stop looking for new boards and close all ports.
+   *
+   * @return {Promise} which resolves when the adapter is unloaded.
+   */
+  unload() {
+    clearInterval(this.portScanner);
+    clearInterval(this.descriptionChecker);
+    clearTimeout(this.pairingTimer);
+    this.pairingTimer = null;
+    this.devices.forEach(function(device) {
+      device.stopPolling();
+    });
+    this.ports.forEach(function(serialPort) {
+      if (serialPort.radio) {
+        serialPort.radio.stop();
+      }
+      if (serialPort.isOpen) {
+        serialPort.close();
+      }
+    });
+    return this.cache.flush().then(() => super.unload());
   }
 
   /**
@@ -191,14 +1655,19 @@ class MicroBlocksAdapter extends Adapter {
    */
   removeThing(thing) {
     return new Promise((resolve) => {
-      thing.properties.forEach(function(property) {
-        clearInterval(property.poller);
-      });
-      if (thing.serialPort && thing.serialPort.isOpen) {
-        thing.serialPort.close();
-        thing.serialPort = null;
+      thing.stopPolling();
+      thing.rejectPendingActions('Device was removed');
+      const serialPort = thing.serialPort;
+      thing.serialPort = null;
+      // other things may still use the port, such as other boards behind the
+      // same radio bridge
+      if (serialPort && this.ports.removeUser(serialPort, thing)) {
+        // don't pick the board up again until it's replugged or the user
+        // asks for pairing
+        this.probedPorts.add(serialPort.path);
       }
       this.devices.delete(thing.id);
+      this.cache.delete(thing.id);
       this.handleDeviceRemoved(thing);
       resolve(thing);
     });
@@ -211,432 +1680,386 @@ class MicroBlocksAdapter extends Adapter {
    * @param {port} serial port object to probe.
    */
   probePort(port) {
-    const myself = this;
-    if (port.vendorId) {
-      const serialPort =
-        new SerialPort(port.path, {baudRate: 115200});
+    if (isPortAllowed(port, this.config)) {
+      this.attachPort(openPort(port, this.config), port);
+    }
+  }
 
-      serialPort.buffer = [];
+  /**
+   * Look for a µBlocks device behind a port that's being opened, and keep
+   * talking to it. Ports that don't come from openPort, such as a ReplayPort,
+   * can be handed to the adapter this way.
+   *
+   * @param {serialPort} the port, with the SerialPort interface.
+   * @param {port} info of the port, as given to openPort.
+   */
+  attachPort(serialPort, port) {
+    serialPort.portInfo = port;
+    this.ports.add(serialPort);
 
-      serialPort.on('data', (data) => {
-        serialPort.buffer = serialPort.buffer.concat(data.toJSON().data);
-        this.processData(serialPort);
-      });
+    // trace incoming bytes before they're handled
+    serialPort.on('data', (data) => {
+      if (serialPort.tracer) {
+        serialPort.tracer.received(data);
+      }
+    });
+    serialPort.transport = new MicroBlocksTransport(
+      serialPort,
+      {timeout: this.config.requestTimeout}
+    );
+    serialPort.transport.on('sent', (bytes) => {
+      if (serialPort.tracer) {
+        serialPort.tracer.sent(bytes);
+      }
+    });
+    serialPort.transport.on('message', (message) => {
+      this.processMessage(serialPort, message);
+    });
+    serialPort.transport.on('oversized', (header) => {
+      // the thing description is the only variable we read by name
+      if (header.opCode === OpCodes.variableValue &&
+          header.objectID === protocol.NAMED_VAR_ID) {
+        this.reportProblems(`Board at ${port.path}`, [
+          `Its thing description is ${header.dataSize} bytes long, more ` +
+          `than the ${serialPort.transport.decoder.maxDataSize} bytes the ` +
+          'adapter reads',
+        ]);
+      }
+    });
+    this.tracePort(serialPort);
 
-      serialPort.on('open', function() {
-        console.log(`Probing ${port.path}`);
+    serialPort.on('open', () => {
+      this.probes.set(port.path, serialPort);
+      this.reportPairingProgress(
+        `Looking for a MicroBlocks board at ${port.path}`);
+      const transport = serialPort.transport;
+      transport.send(protocol.startAllMessage()).then(() => {
         // We ask the board to give us the value of the '_thing description'
         // variable
-        serialPort.write([0xFA, 0x05, 0x00]); // startAll
-        serialPort.drain();
-        let message = [
-          0xFB,       // long message
-          0x07,       // getVarValue opCode
-          0xFF,       // object ID (made up)
-        ];
-        const data = myself.packString('_thing description').concat(0xFE);
-        // add the data size in little endian
-        message.push(data.length & 255);
-        message.push((data.length >> 8) & 255);
-        // add the data to the message
-        message = message.concat(data);
-        serialPort.write(message);
-        serialPort.drain();
-
-        this.discoveryTimeout = setTimeout(function() {
-          console.log(`Port ${port.path} timed out`);
+        return transport.getNamedVariable(
+          THING_DESCRIPTION_VAR,
+          {timeout: this.config.probeTimeout, retries: 0}
+        );
+      }).then((reply) => {
+        if (!this.endProbe(serialPort)) {
+          // pairing was cancelled in the meantime
+          return;
+        }
+        this.reportPairingProgress(
+          `Found a MicroBlocks board at ${port.path}`);
+        this.processThingDescription(serialPort, reply.value);
+      }).catch((err) => {
+        if (!this.endProbe(serialPort)) {
+          log.debug('Stopped probing', port.path, err.message);
+        } else if (!(err instanceof TimeoutError)) {
+          log.warn('Failed to probe', port.path, err.message);
+        } else if (!this.ports.isInUse(serialPort)) {
+          // radio bridges may have no description of their own, but they
+          // may have things behind them already
+          this.reportPairingProgress(
+            `No MicroBlocks board answered at ${port.path}`);
+          this.probedPorts.add(port.path);
           serialPort.close();
-          clearTimeout(this);
-          serialPort.discoveryTimeout = null;
-        }, 3000);
-      });
-
-      serialPort.on('error', (err) => {
-        console.log('Serialport Error:', err);
-      });
-
-      serialPort.on('close', (err) => {
-        if (err && err.disconnected) {
-          console.log('removing device at', port.path,
-                      'because it was unplugged');
-          const device = this.deviceAtPort(serialPort);
-          if (!device) {
-            console.warn('Unable to remove device at', port.path);
-            return;
-          }
-          this.removeThing(device);
-        } else {
-          console.log('device at', port.path, 'successfully disconnected');
         }
       });
-    }
-  }
-
-  /**
-   * Process the current serial port buffer to see if there's a complete
-   * message to be parsed, and parse it if so.
-   *
-   * @param {serialPort} the port through which this data is coming.
-   */
-  processData(serialPort) {
-    const check = serialPort.buffer[0];
-    const opCode = serialPort.buffer[1];
-    const objectID = serialPort.buffer[2];
-    const dataSize = serialPort.buffer[3] | serialPort.buffer[4] << 8;
+    });
 
-    if (check === 0xFB) {
-      // long message
-      if (serialPort.buffer.length >= dataSize + 5) {
-        // message is complete
-        if (opCode === 0x1D) {
-          // variableName message is complete
-          this.processVariableName(
-            serialPort,
-            objectID,
-            this.getPayload(serialPort.buffer, dataSize)
-          );
-        } else if (opCode === 0x15) {
-          // variableValue opCode
-          this.processVariableValue(
-            serialPort,
-            objectID,
-            this.getPayload(serialPort.buffer, dataSize),
-            this.getPayloadType(serialPort.buffer)
-          );
-        } else if (opCode === 0x1B) {
-          // broadcast opCode
-          this.processBroadcast(
-            serialPort,
-            this.getPayload(serialPort.buffer, dataSize)
-          );
-        } else if (opCode === 0x14) {
-          // outputValue opCode (for debugging)
-          console.log(
-            'device says:',
-            this.getPayload(serialPort.buffer, dataSize));
+    serialPort.on('error', (err) => {
+      if (!serialPort.isOpen &&
+          this.ports.get(port.path) === serialPort) {
+        // we couldn't even open it, so there's nothing to close
+        this.ports.remove(serialPort);
+        if (port.network) {
+          // network boards may just be off, we'll keep trying
+          log.debug('Unable to reach', port.path, err.message);
+          return;
         }
-        serialPort.buffer = serialPort.buffer.slice(5 + dataSize);
-        // there may be the start of a new message left to process
-        this.processData(serialPort);
-      }
-    } else if (check === 0xFA) {
-      // short message
-      serialPort.buffer = serialPort.buffer.slice(3);
-      // there may be the start of a new message left to process
-      this.processData(serialPort);
-    } else {
-      // missed a message header, or we're not talking to a µBlocks board
-      const checkIndex = serialPort.buffer.indexOf(0xFB);
-      if (checkIndex > -1) {
-        // our message starts somewhere in the middle of the buffer
-        serialPort.buffer = serialPort.buffer.slice(checkIndex);
-        this.processData(serialPort);
+        this.probedPorts.add(port.path);
+      }
+      log.error('Serialport Error:', err);
+    });
+
+    serialPort.on('close', (err) => {
+      const users = this.ports.remove(serialPort);
+      this.endProbe(serialPort);
+      if (serialPort.tracer) {
+        serialPort.tracer.close();
+        serialPort.tracer = null;
+      }
+      if (serialPort.radio) {
+        serialPort.radio.stop();
+      }
+      if (err && err.disconnected) {
+        log.info('device at', port.path, 'was unplugged');
+        // keep the things around until their boards come back, including
+        // all the boards behind a radio bridge
+        users.forEach(function(device) {
+          device.detach();
+        });
       } else {
-        serialPort.buffer = [];
+        log.info('device at', port.path, 'successfully disconnected');
       }
-    }
+    });
   }
 
   /**
-   * Read the payload of the message being currently processed
+   * Dispatch a decoded MicroBlocks message.
    *
-   * @param {dataSize} amount of bytes to read.
-   * @return {int, boolean, string} the parsed value in its proper type.
+   * @param {serialPort} the port through which this message came.
+   * @param {message} structured message, as returned by the protocol decoder.
    */
-  getPayload(buffer, dataSize) {
-    const typeByte = this.getPayloadType(buffer);
-    if (typeByte === -1) {
-      // not a variable, get the full string
-      return String.fromCharCode.apply(
-        null,
-        buffer.slice(5, 5 + dataSize));
-    } else if (typeByte === 1) {
-      // int
-      return (buffer[9] << 24) | (buffer[8] << 16) |
-            (buffer[7] << 8) | (buffer[6]);
-    } else if (typeByte === 2) {
-      // string
-      return String.fromCharCode.apply(
-        null,
-        buffer.slice(6, 5 + dataSize));
-    } else if (typeByte === 3) {
-      // boolean
-      return buffer[6] === 1;
+  processMessage(serialPort, message) {
+    switch (message.opCode) {
+      case OpCodes.variableName:
+        this.processVariableName(serialPort, message.varID, message.name);
+        break;
+      case OpCodes.variableValue:
+        this.processVariableValue(
+          serialPort,
+          message.varID,
+          message.value,
+          message.type
+        );
+        break;
+      case OpCodes.broadcast:
+        this.processBroadcast(serialPort, message.message);
+        break;
+      case OpCodes.outputValue: {
+        const device = this.deviceAtPort(serialPort);
+        if (device) {
+          device.processOutput(message.value);
+        } else {
+          log.info('device at', serialPort.path, 'says:', message.value);
+        }
+        break;
+      }
+      case OpCodes.taskError: {
+        const device = this.deviceAtPort(serialPort);
+        if (device) {
+          device.processError(message);
+        } else {
+          log.warn(
+            'device at', serialPort.path, 'reports', message.errorName,
+            'in chunk', message.chunkID);
+        }
+        break;
+      }
     }
   }
 
   /**
-   * Determine the type of the payload of the message being currently
-   * process. Only makes sense for variables.
+   * Process the thing description sent by a board, and create a new device
+   * out of it, or update the one we have for the board.
    *
-   * @return {int} MicroBlocks variable type byte.
+   * @param {serialPort} port through which we got the description
+   * @param {varValue} contents of the '_thing description' variable
    */
-  getPayloadType(buffer) {
-    if (buffer[5] <= 3) {
-      return buffer[5];
-    } else {
-      return -1;
+  processThingDescription(serialPort, varValue) {
+    // so we can tell when it changes
+    serialPort.descriptionText = varValue;
+    if (varValue === '') {
+      // radio bridges may have no description of their own
+      log.debug('Empty thing description at', serialPort.path);
+      return;
+    }
+    try {
+      this.addDevices(serialPort, parseThingDescriptions(varValue));
+      serialPort.descriptionRejected = false;
+      log.info('Thing description at', serialPort.path, 'complete');
+      serialPort.transport.broadcast('_clear thing description');
+    } catch (err) {
+      if (err instanceof DescriptionError) {
+        // the port stays open, and we keep reading the description until
+        // it's fixed
+        serialPort.descriptionRejected = true;
+        this.reportProblems(`Board at ${serialPort.path}`, err.problems);
+      } else {
+        log.error('Failed to add thing!');
+        log.error(err);
+      }
+      log.debug(varValue);
     }
   }
 
   /**
-   * Called when a MicroBlocks device has been discovered. We clear the
-   * serial port discovery timeout.
+   * Tell the user what's wrong with a board, through the pairing dialog of
+   * the gateway as well as the log.
    *
-   * @param {serialPort} port where the device has been discovered.
+   * @param {subject} which board or thing the problems are about.
+   * @param {problems} list of problems, as human readable strings.
+   * @param {device} the thing the problems are about, if it was added.
    */
-  discoveredDevice(serialPort) {
-    if (serialPort.discoveryTimeout) {
-      console.log(
-        'Found MicroBlocks device at',
-        serialPort.path);
-      clearTimeout(serialPort.discoveryTimeout);
-      serialPort.discoveryTimeout = null;
-    }
+  reportProblems(subject, problems, device) {
+    problems.forEach(function(problem) {
+      log.warn(`${subject}: ${problem}`);
+    });
+    this.sendPairingPrompt(
+      `${subject}: ${problems.join('; ')}`,
+      null,
+      device || null
+    );
   }
 
   /**
-   * Process variable values. If the variable contains a thing description,
-   * we create a new device. Otherwise, we update the property value.
+   * Process variable values the board sent without us asking for them, and
+   * update the corresponding property.
    *
    * @param {serialPort} port through which we got the message
-   * @param {objectID} MicroBlocks message id (or variable id)
+   * @param {objectID} MicroBlocks variable id
    * @param {varValue} MicroBlocks variable content, properly typed
-   * @param {varType} MicroBlocks variable type string (boolean, int, string)
+   * @param {varType} MicroBlocks variable type byte
    */
   processVariableValue(serialPort, objectID, varValue, varType) {
-    if (objectID === 0xFF) {
-      // we found a new thing!
-      let description = varValue;
-      try {
-        // fix incomplete thing descriptions
-        if (description.endsWith(',')) {
-          // close last property / event
-          description = `${description.slice(0, -1)}}}`;
-        } else if (description.endsWith('{')) {
-          // no properties
-          description = `${description}}}`;
-        }
-        this.addDevice(serialPort, JSON.parse(description));
-        console.log('Thing description at', serialPort.path, 'complete');
-        serialPort.write(this.packBroadcastMessage('_clear thing description'));
-      } catch (err) {
-        console.error('Failed to add thing!');
-        console.error(err);
-        console.log(varValue);
-      }
-    } else {
-      const device = this.deviceAtPort(serialPort);
-      if (device) {
-        const property = device.findPropertyByID(objectID);
-        if (property) {
-          // update type
-          if (!property.varType) {
-            console.log('Setting var type to', varType, 'for', property.title);
-            property.varType = varType;
-          }
-          if (property.value !== varValue) {
-            property.setCachedValue(varValue);
-            device.notifyPropertyChanged(property);
-          }
-        }
+    this.devicesAtPort(serialPort).forEach(function(device) {
+      const property = device.findPropertyByID(objectID);
+      if (property) {
+        property.updateValue(varValue, varType);
       }
-    }
+    });
   }
 
   /**
    * Process and store variable ids into corresponding properties, and ask for
-   * their content too.
+   * their content too. Each thing of the board looks the variable up among
+   * its own properties.
    *
    * @param {serialPort} port through which we got the message
    * @param {objectID} MicroBlocks variable id
    * @param {varName} MicroBlocks variable name
    */
   processVariableName(serialPort, objectID, varName) {
-    const device = this.deviceAtPort(serialPort);
-    if (device) {
+    this.devicesAtPort(serialPort).forEach((device) => {
+      device.varIDs.set(varName, objectID);
       const property = device.properties.get(varName);
       if (property) {
-        console.log(
+        log.debug(
           'Got id', objectID, 'for property', varName,
           'of device', device.name);
         property.varID = objectID;
         // let's ask for the property value
-        serialPort.write([
-          0xFA,       // short message
-          0x07,       // getVarValue opCode
-          objectID,   // var ID
-        ]);
-        serialPort.drain();
+        property.poll();
       }
-    }
+    });
   }
 
   /**
-   * Process a broadcast message coming from the board describing an event.
+   * Process a broadcast message coming from the board. Radio packets relayed
+   * by a bridge are put back together into messages from the boards behind
+   * it.
+   *
    * @param {serialPort} port through which we got the message
    * @param {message} MicroBlocks message content, as a string
    */
   processBroadcast(serialPort, message) {
-    const isRadioPacket = message.startsWith('moz-packet');
-    const radioDeviceID = isRadioPacket ? this.getRadioDeviceID(message) : null;
-    const device = this.deviceAtPort(serialPort, radioDeviceID);
-    if (device) {
-      const contents =
-            isRadioPacket ? this.extractRadioString(message) : message;
-      const eventDescription = device.events.get(contents);
-      if (eventDescription) {
-        console.log('Received event', contents);
-        device.eventNotify(new Event(device, contents));
-      } else {
-        console.log('Unrecognized broadcast from device:\n', contents);
-        console.log('message is', contents.length, 'chars long');
+    if (isRadioPacket(message)) {
+      const radioPacket = parseRadioPacket(message);
+      if (this.config.radioBridge && radioPacket) {
+        this.radioReassembler(serialPort).push(
+          radioPacket.senderID,
+          radioPacket.packet
+        );
       }
-    } else if (isRadioPacket) {
-      // Turn string back into charCode array
-      const byteArray =
-            message.substring(11 + radioDeviceID.length).split(',').map(
-              (s) => {
-                return parseInt(s);
-              }
-            );
-      this.processRadioPacket(serialPort, radioDeviceID, byteArray);
-    }
-  }
-
-  getRadioDeviceID(message) {
-    return message.substring(10).split(':')[0];
-  }
-
-  extractRadioString(message) {
-    // Position is 10 (length of moz-packet) + 1 (: char) + length of device ID
-    // We then remove all zeroes (null terminators) plus the first 4 elements
-    // (protocol header)
-    const byteArray =
-          message.substring(
-            11 + this.getRadioDeviceID(message).length).
-            replace(/,0/g, '').split(',').slice(4);
-    return String.fromCharCode.apply(null, byteArray);
-  }
-
-  processRadioPacket(serialPort, radioDeviceID, packet) {
-    if (!packet[0] === 31) {
+      return;
+    } else if (message === DESCRIPTION_CHANGED_MESSAGE) {
+      this.checkThingDescription(serialPort);
       return;
     }
-    const index = packet[1];
-    const packetCount = packet[2];
-    const crc = packet[3];
-    if (!this.radioPackets[crc]) {
-      this.radioPackets[crc] = [];
-    }
-    for (let i = 4; i < 32; i++) {
-      if (packet[i] !== 0) {
-        this.radioPackets[crc][((index - 1) * 28) + i - 4] = packet[i];
-      }
-    }
-    const string = String.fromCharCode.apply(null, this.radioPackets[crc]);
-    let receivedPackets = Math.floor(string.length / 28);
-    if ((string.length % 28) > 0) {
-      receivedPackets += 1;
-    }
-    if (receivedPackets === packetCount) {
-      // We got the last packet. Let's make sure CRCs match
-      const computedCRC =
-        this.radioPackets[crc].reduce((acc, current, i) => {
-          return acc + (current * (i + 1));
-        }, string.length) % 255;
-      if (computedCRC === crc) {
-        this.radioPackets[crc] = null;
-        if (string.startsWith('{ "title": "')) {
-          console.log('Got a radio thing!');
-          this.addDevice(serialPort, JSON.parse(string), radioDeviceID);
-        } else {
-          console.log('Got a random radio string\n', string);
-          // TODO Parse other messages? There may be no others
-        }
-      } else {
-        // Ask the bridge to ask the board to resend
-        // TODO The bridge doesn't yet listen for these messages
-        console.log('Got a corrupt radio string\n', string);
-        serialPort.write(this.packBroadcastMessage(`moz-resend${crc}`));
-      }
+    const devices = this.devicesAtPort(serialPort);
+    if (devices.length > 0) {
+      this.processDeviceMessage(devices, message);
     }
   }
 
   /**
-   * Pack a "broadcast" MicroBlocks serial message, including the
-   * message payload.
+   * Process a message from a board, which may be an event, a pushed property
+   * value or the completion of an action, for each of the things of the
+   * board.
    *
-   * @param {message} MicroBlocks broadcast message content
-   * @return {Array} An array of bytes ready to be sent to the board.
+   * @param {devices} the MicroBlocksDevices of the board that sent the message
+   * @param {contents} message content, as a string
    */
-  packBroadcastMessage(contents) {
-    let message = [0xFB, 0x1B];
-    const data = this.packValue(contents, 2).concat(0xFE); // 2 is string type
-    // add the data size in little endian
-    message.push(data.length & 255);
-    message.push((data.length >> 8) & 255);
-    // add the data to the message
-    message = message.concat(data);
-    return message;
-  }
-
-  /**
-   * Pack a "set variable value" MicroBlocks serial message, including the
-   * variable id, type and value and ready to be sent via serial port.
-   *
-   * @param {varID} MicroBlocks variable id
-   * @param {value} MicroBlocks variable content
-   * @return {Array} An array of bytes ready to be sent to the board.
-   */
-  packSetVariableMessage(varID, value, type) {
-    let message = [0xFB, 0x08, varID];
-    const data = this.packValue(value, type).concat(0xFE);
-    // add the data size in little endian
-    message.push(data.length & 255);
-    message.push((data.length >> 8) & 255);
-    // add the data to the message
-    message = message.concat(data);
-    return message;
+  processDeviceMessage(devices, contents) {
+    let recognized = false;
+    devices.forEach(function(device) {
+      if (device.processEvent(contents) ||
+          device.processPushedValue(contents) ||
+          device.completeAction(contents)) {
+        recognized = true;
+      }
+    });
+    if (!recognized) {
+      log.debug('Unrecognized broadcast from device:\n', contents);
+      log.debug('message is', contents.length, 'chars long');
+    }
   }
 
   /**
-   * Pack a string as an array of bytes.
+   * Get the radio message reassembler of a bridge port, creating it the
+   * first time.
    *
-   * @param {string} the string to be packed.
-   * @return {Array} An array of bytes.
+   * @param {serialPort} port where the bridge is connected
+   * @return {RadioReassembler} the reassembler for that port
    */
-  packString(string) {
-    return string.split('').map(function(char) {
-      return char.charCodeAt(0);
-    });
+  radioReassembler(serialPort) {
+    if (!serialPort.radio) {
+      serialPort.radio = new RadioReassembler();
+      serialPort.radio.on('message', (senderID, bytes) => {
+        this.processRadioMessage(
+          serialPort,
+          senderID,
+          protocol.unpackString(bytes)
+        );
+      });
+      serialPort.radio.on('resend', (senderID, crc, indices) => {
+        // Ask the bridge to ask the board to resend the missing packets, or
+        // the whole message if it came out corrupt
+        log.debug('Asking', senderID, 'to resend message', crc, indices);
+        const missing = indices.length > 0 ? `:${indices.join(',')}` : '';
+        serialPort.transport.broadcast(
+          `moz-resend${senderID}:${crc}${missing}`);
+      });
+      serialPort.radio.on('expire', (senderID, crc) => {
+        log.warn('Gave up on radio message', crc, 'from', senderID);
+      });
+    }
+    return serialPort.radio;
   }
 
   /**
-   * Pack a value as an array of bytes in the MicroBlocks VM format, including
-   * its type.
+   * Process a complete message from a board behind a radio bridge.
    *
-   * @param {value} the value to be packed.
-   * @param {typeName} the name of the value type. (boolean, int, string)
-   * @return {Array} An array of bytes.
+   * @param {serialPort} port where the bridge is connected
+   * @param {radioDeviceID} radio ID of the board that sent the message
+   * @param {string} message content
    */
-  packValue(value, type) {
-    if (type === 1) {
-      // int
-      const level = Math.floor(value);
-      return [
-        1,
-        level & 255,
-        (level >> 8) & 255,
-        (level >> 16) & 255,
-        (level >> 24) & 255,
-      ];
-    } else if (type === 2) {
-      // string
-      return [ 2 ].concat(this.packString(value));
-    } else if (type === 3) {
-      // boolean
-      return [ 3, value && 1 || 0 ];
+  processRadioMessage(serialPort, radioDeviceID, string) {
+    if (/^\s*[[{]/.test(string)) {
+      log.info('Got a radio thing!');
+      try {
+        this.addDevices(
+          serialPort,
+          parseThingDescriptions(string),
+          radioDeviceID
+        );
+      } catch (err) {
+        if (err instanceof DescriptionError) {
+          this.reportProblems(
+            `Radio board ${radioDeviceID} at ${serialPort.path}`,
+            err.problems
+          );
+        } else {
+          log.error('Failed to add radio thing!');
+          log.error(err);
+        }
+      }
+      return;
+    }
+    const devices = this.devicesAtPort(serialPort, radioDeviceID);
+    if (devices.length > 0) {
+      this.processDeviceMessage(devices, string);
+    } else {
+      log.debug('Got a radio string from unknown board', radioDeviceID,
+                '\n', string);
     }
   }
 }
@@ -0,0 +1,264 @@
+/**
+ * ports.js - Byte streams to MicroBlocks boards.
+ *
+ * Boards may be plugged into a serial port or sit on the network. Either way,
+ * the rest of the adapter talks to them through an object with the SerialPort
+ * interface:
+ *
+ *   path              unique name of the port
+ *   isOpen            whether we can talk through it
+ *   write(data, cb)   send a Buffer, calling back when it's been queued
+ *   drain(cb)         call back when everything written has been sent
+ *   close(cb)         hang up
+ *   "open" event      the port is ready
+ *   "data" event      a Buffer of bytes came in
+ *   "error" event     something failed, before or after opening
+ *   "close" event     the port was closed; the argument has disconnected set
+ *                     if the board went away on its own
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const net = require('net');
+const SerialPort = require('serialport');
+
+const TCP_PREFIX = 'tcp://';
+
+/**
+ * A board on the network, speaking the MicroBlocks serial protocol over a
+ * TCP connection.
+ */
+class TcpPort extends EventEmitter {
+  /**
+   * @param {host} board host name or address.
+   * @param {port} TCP port the board listens on.
+   */
+  constructor(host, port) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.path = `${TCP_PREFIX}${host}:${port}`;
+    this.isOpen = false;
+    this.closing = false;
+    // whether the socket buffers more than it'd like, until it drains
+    this.needsDrain = false;
+
+    this.socket = net.connect({host, port});
+    this.socket.setNoDelay(true);
+    this.socket.setKeepAlive(true);
+
+    this.socket.on('connect', () => {
+      this.isOpen = true;
+      this.emit('open');
+    });
+
+    this.socket.on('data', (data) => {
+      this.emit('data', data);
+    });
+
+    this.socket.on('drain', () => {
+      this.needsDrain = false;
+    });
+
+    this.socket.on('error', (err) => {
+      this.emit('error', err);
+    });
+
+    this.socket.on('close', () => {
+      if (!this.isOpen) {
+        // we never got through, like a serial port that failed to open
+        return;
+      }
+      this.isOpen = false;
+      if (this.closing) {
+        this.emit('close');
+      } else {
+        const err = new Error('Connection lost');
+        err.disconnected = true;
+        this.emit('close', err);
+      }
+    });
+  }
+
+  write(data, callback) {
+    if (!this.socket.write(data, callback)) {
+      this.needsDrain = true;
+    }
+  }
+
+  /**
+   * Wait for the socket to take what was written to it. Calls back with an
+   * error if the connection closes first, as it won't drain then.
+   */
+  drain(callback) {
+    if (!this.needsDrain) {
+      setImmediate(callback);
+      return;
+    } else if (this.socket.destroyed) {
+      setImmediate(() => callback(new Error('Port closed')));
+      return;
+    }
+    const done = (err) => {
+      this.socket.removeListener('drain', onDrain);
+      this.socket.removeListener('close', onClose);
+      this.socket.removeListener('error', done);
+      callback(err);
+    };
+    const onDrain = () => done();
+    const onClose = () => done(new Error('Port closed'));
+    this.socket.on('drain', onDrain);
+    this.socket.on('close', onClose);
+    this.socket.on('error', done);
+  }
+
+  close(callback) {
+    this.closing = true;
+    if (callback) {
+      this.socket.once('close', () => callback());
+    }
+    this.socket.end();
+  }
+}
+
+/**
+ * Parse a "host:port" entry from the adapter settings.
+ *
+ * @param {entry} the network board entry.
+ * @return {Object} port info with path, host and port, or null if the entry
+ *   is malformed.
+ */
+function parseNetworkBoard(entry) {
+  const match = /^(?:tcp:\/\/)?(.+):(\d+)$/.exec(entry.trim());
+  if (!match) {
+    return null;
+  }
+  const host = match[1];
+  const port = parseInt(match[2], 10);
+  return {path: `${TCP_PREFIX}${host}:${port}`, host, port, network: true};
+}
+
+/**
+ * Open a port to a board.
+ *
+ * @param {portInfo} port info, as returned by SerialPort.list() or
+ *   parseNetworkBoard.
+ * @param {config} adapter settings.
+ * @return {Object} the port, with the SerialPort interface.
+ */
+function openPort(portInfo, config) {
+  if (portInfo.network) {
+    return new TcpPort(portInfo.host, portInfo.port);
+  }
+  return new SerialPort(portInfo.path, {baudRate: config.baudRate});
+}
+
+/**
+ * Keeps track of the open ports and of the things using each of them. A
+ * radio bridge port may be shared by the bridge and every board behind it,
+ * so a port is only closed when the last thing using it is done with it.
+ */
+class PortManager {
+  constructor() {
+    // open ports and the things using them, indexed by path
+    this.entries = new Map();
+  }
+
+  /**
+   * Start keeping track of a port we've just opened.
+   */
+  add(port) {
+    this.entries.set(port.path, {port, users: new Set()});
+  }
+
+  /**
+   * @param {path} port path.
+   * @return {Object} the open port at that path, if any.
+   */
+  get(path) {
+    const entry = this.entries.get(path);
+    return entry && entry.port;
+  }
+
+  has(path) {
+    return this.entries.has(path);
+  }
+
+  forEach(callback) {
+    this.entries.forEach(function(entry) {
+      callback(entry.port);
+    });
+  }
+
+  /**
+   * Stop keeping track of a port, once it's closed.
+   *
+   * @param {port} the port.
+   * @return {Array} the things that were using it.
+   */
+  remove(port) {
+    const entry = this.entries.get(port.path);
+    if (!entry || entry.port !== port) {
+      return [];
+    }
+    this.entries.delete(port.path);
+    return [...entry.users];
+  }
+
+  /**
+   * Record that a thing uses a port.
+   */
+  addUser(port, device) {
+    const entry = this.entries.get(port.path);
+    if (entry && entry.port === port) {
+      entry.users.add(device);
+    }
+  }
+
+  /**
+   * Record that a thing is done with a port, and close the port if nothing
+   * else uses it.
+   *
+   * @param {port} the port.
+   * @param {device} the thing.
+   * @return {boolean} whether the port was closed.
+   */
+  removeUser(port, device) {
+    const entry = this.entries.get(port.path);
+    if (!entry || entry.port !== port) {
+      return false;
+    }
+    entry.users.delete(device);
+    if (entry.users.size > 0) {
+      return false;
+    }
+    if (port.isOpen) {
+      port.close();
+    }
+    return true;
+  }
+
+  /**
+   * @param {port} the port.
+   * @return {Array} the things using it.
+   */
+  users(port) {
+    const entry = this.entries.get(port.path);
+    return entry && entry.port === port ? [...entry.users] : [];
+  }
+
+  isInUse(port) {
+    return this.users(port).length > 0;
+  }
+}
+
+module.exports = {
+  TcpPort,
+  PortManager,
+  parseNetworkBoard,
+  openPort,
+};
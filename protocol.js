@@ -0,0 +1,620 @@
+/**
+ * protocol.js - MicroBlocks serial protocol encoder and decoder.
+ *
+ * This module knows nothing about the gateway or about serial ports. It turns
+ * structured messages into byte arrays and byte streams back into structured
+ * messages, so it can be reused from tests and other tools.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const SHORT_MESSAGE = 0xFA;
+const LONG_MESSAGE = 0xFB;
+const TERMINATOR = 0xFE;
+
+// Object ID used when asking for a variable by name instead of by ID. The
+// board answers with a variableValue message carrying this same ID.
+const NAMED_VAR_ID = 0xFF;
+
+// Largest long message body the decoder accepts, in bytes. Thing descriptions
+// are the longest values boards send, and this leaves room for the ones of
+// boards with many things, so a header announcing more is taken for noise.
+const MAX_DATA_SIZE = 16384;
+
+// How long the decoder waits for the rest of a long message before taking its
+// header for noise, in milliseconds. Boards send the largest messages well
+// within this time.
+const STALL_TIMEOUT = 3000;
+
+// Initial size of the decoder buffer, in bytes. It grows as needed.
+const INITIAL_BUFFER_SIZE = 1024;
+
+const OpCodes = {
+  chunkCode: 0x01,
+  deleteChunk: 0x02,
+  startChunk: 0x03,
+  stopChunk: 0x04,
+  startAll: 0x05,
+  stopAll: 0x06,
+  getVarValue: 0x07,
+  setVarValue: 0x08,
+  getVarNames: 0x09,
+  clearVars: 0x0A,
+  getChunkCRC: 0x0B,
+  getVersion: 0x0C,
+  getAllCode: 0x0D,
+  deleteAllCode: 0x0E,
+  systemReset: 0x0F,
+  taskStarted: 0x10,
+  taskDone: 0x11,
+  taskReturnedValue: 0x12,
+  taskError: 0x13,
+  outputValue: 0x14,
+  variableValue: 0x15,
+  version: 0x16,
+  chunkCRC: 0x17,
+  ping: 0x1A,
+  broadcast: 0x1B,
+  chunkAttribute: 0x1C,
+  variableName: 0x1D,
+  comment: 0x1E,
+  commentPosition: 0x1F,
+  deleteFile: 0x20,
+  listFiles: 0x21,
+  fileInfo: 0x22,
+  startReadingFile: 0x23,
+  startWritingFile: 0x24,
+  fileChunk: 0x25,
+  getAllCRCs: 0x26,
+  allCRCs: 0x27,
+};
+
+const OpNames = {};
+Object.keys(OpCodes).forEach(function(opName) {
+  OpNames[OpCodes[opName]] = opName;
+});
+
+const VarTypes = {
+  int: 1,
+  string: 2,
+  boolean: 3,
+  byteArray: 5,
+};
+
+// MicroBlocks integers are 31 bits long
+const MAX_INT = (2 ** 30) - 1;
+const MIN_INT = -(2 ** 30);
+
+const VarTypeNames = {};
+Object.keys(VarTypes).forEach(function(typeName) {
+  VarTypeNames[VarTypes[typeName]] = typeName;
+});
+
+// Error codes reported by the VM in taskError messages
+const ErrorNames = {
+  0: 'noError',
+  1: 'unspecifiedError',
+  2: 'badChunkIndexError',
+  10: 'insufficientMemoryError',
+  11: 'needsListError',
+  12: 'needsBooleanError',
+  13: 'needsIntegerError',
+  14: 'needsStringError',
+  15: 'nonComparableError',
+  16: 'arraySizeError',
+  17: 'needsIntegerIndexError',
+  18: 'indexOutOfRangeError',
+  19: 'byteArrayStoreError',
+  20: 'hexRangeError',
+  21: 'i2cDeviceIDOutOfRange',
+  22: 'i2cRegisterIDOutOfRange',
+  23: 'i2cValueOutOfRange',
+  24: 'notInFunction',
+  25: 'badForLoopArg',
+  26: 'stackOverflow',
+  27: 'primitiveNotImplemented',
+  28: 'notEnoughArguments',
+  29: 'waitTooLong',
+  30: 'noWiFi',
+  31: 'zeroDivide',
+};
+
+/**
+ * Pack a string as an array of bytes, in UTF-8 like the MicroBlocks VM.
+ *
+ * @param {string} the string to be packed.
+ * @return {Array} An array of bytes.
+ */
+function packString(string) {
+  return Array.from(Buffer.from(string, 'utf8'));
+}
+
+/**
+ * Turn an array of UTF-8 bytes back into a string.
+ *
+ * @param {bytes} the bytes to be unpacked.
+ * @return {string} The decoded string.
+ */
+function unpackString(bytes) {
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Pack a value as an array of bytes in the MicroBlocks VM format, including
+ * its type. Byte arrays are given as arrays of bytes or Buffers.
+ *
+ * @param {value} the value to be packed.
+ * @param {type} the MicroBlocks type byte of the value (see VarTypes).
+ * @return {Array} An array of bytes.
+ * @throws {RangeError} if an int doesn't fit in a MicroBlocks integer.
+ */
+function packValue(value, type) {
+  if (type === VarTypes.int) {
+    if (!Number.isInteger(value) || value < MIN_INT || value > MAX_INT) {
+      throw new RangeError(`Not a MicroBlocks integer: ${value}`);
+    }
+    return [
+      VarTypes.int,
+      value & 255,
+      (value >> 8) & 255,
+      (value >> 16) & 255,
+      (value >> 24) & 255,
+    ];
+  } else if (type === VarTypes.string) {
+    return [VarTypes.string].concat(packString(String(value)));
+  } else if (type === VarTypes.boolean) {
+    return [VarTypes.boolean, value && 1 || 0];
+  } else if (type === VarTypes.byteArray) {
+    return [VarTypes.byteArray].concat(Array.from(value));
+  }
+  throw new Error(`Unknown MicroBlocks value type: ${type}`);
+}
+
+/**
+ * Unpack a typed value in the MicroBlocks VM format.
+ *
+ * @param {bytes} the type byte followed by the value bytes.
+ * @return {Object} {type, value}, or null if the bytes are not a typed value.
+ *   Byte arrays are unpacked as arrays of bytes.
+ */
+function unpackValue(bytes) {
+  const type = bytes[0];
+  if (type === VarTypes.int && bytes.length >= 5) {
+    return {
+      type,
+      value: (bytes[4] << 24) | (bytes[3] << 16) | (bytes[2] << 8) | bytes[1],
+    };
+  } else if (type === VarTypes.string) {
+    return {type, value: unpackString(bytes.slice(1))};
+  } else if (type === VarTypes.boolean && bytes.length >= 2) {
+    return {type, value: bytes[1] === 1};
+  } else if (type === VarTypes.byteArray) {
+    return {type, value: Array.from(bytes.slice(1))};
+  }
+  return null;
+}
+
+/**
+ * Encode a short message: header, opCode and object ID.
+ *
+ * @param {opCode} MicroBlocks message opCode.
+ * @param {objectID} chunk, variable or message ID.
+ * @return {Array} An array of bytes ready to be sent to the board.
+ */
+function encodeShortMessage(opCode, objectID) {
+  return [SHORT_MESSAGE, opCode, (objectID || 0) & 255];
+}
+
+/**
+ * Encode a long message, adding the data size and the terminator.
+ *
+ * @param {opCode} MicroBlocks message opCode.
+ * @param {objectID} chunk, variable or message ID.
+ * @param {data} array of bytes to carry as the message body.
+ * @return {Array} An array of bytes ready to be sent to the board.
+ */
+function encodeLongMessage(opCode, objectID, data) {
+  const body = data.concat(TERMINATOR);
+  return [
+    LONG_MESSAGE,
+    opCode,
+    (objectID || 0) & 255,
+    // data size in little endian
+    body.length & 255,
+    (body.length >> 8) & 255,
+  ].concat(body);
+}
+
+/**
+ * Encode a structured message. Messages carrying data are encoded as long
+ * messages, the rest as short ones.
+ *
+ * @param {message} {opCode or opName, objectID, data}
+ * @return {Array} An array of bytes ready to be sent to the board.
+ */
+function encodeMessage(message) {
+  const opCode = message.opCode || OpCodes[message.opName];
+  if (!opCode) {
+    throw new Error(`Unknown MicroBlocks message: ${message.opName}`);
+  }
+  if (message.data) {
+    return encodeLongMessage(opCode, message.objectID, message.data);
+  }
+  return encodeShortMessage(opCode, message.objectID);
+}
+
+// Message builders for the requests the adapter sends to boards
+
+function getVarValueMessage(varID) {
+  return encodeShortMessage(OpCodes.getVarValue, varID);
+}
+
+function getNamedVarValueMessage(varName) {
+  return encodeLongMessage(
+    OpCodes.getVarValue,
+    NAMED_VAR_ID,
+    packString(varName)
+  );
+}
+
+function setVarValueMessage(varID, value, type) {
+  return encodeLongMessage(OpCodes.setVarValue, varID, packValue(value, type));
+}
+
+function getVarNamesMessage() {
+  return encodeShortMessage(OpCodes.getVarNames, 0);
+}
+
+function broadcastMessage(contents) {
+  return encodeLongMessage(
+    OpCodes.broadcast,
+    0,
+    packValue(contents, VarTypes.string)
+  );
+}
+
+function startAllMessage() {
+  return encodeShortMessage(OpCodes.startAll, 0);
+}
+
+function stopAllMessage() {
+  return encodeShortMessage(OpCodes.stopAll, 0);
+}
+
+function systemResetMessage() {
+  return encodeShortMessage(OpCodes.systemReset, 0);
+}
+
+/**
+ * Decode a value-carrying body. Bodies that aren't typed values (such as
+ * plain broadcasts) are read as strings.
+ *
+ * @param {data} message body, without the terminator.
+ * @return {Object} {type, value}, where type is null for raw strings.
+ */
+function decodeValue(data) {
+  return unpackValue(data) || {type: null, value: unpackString(data)};
+}
+
+/**
+ * Turn a raw message into a structured message object. Every message gets
+ * opCode, opName and objectID, plus opCode-specific fields.
+ *
+ * @param {opCode} MicroBlocks message opCode.
+ * @param {objectID} chunk, variable or message ID.
+ * @param {data} message body, without the terminator, or null for short
+ *   messages.
+ * @return {Object} The structured message.
+ */
+function decodeMessage(opCode, objectID, data) {
+  const message = {
+    opCode,
+    opName: OpNames[opCode] || 'unknown',
+    objectID,
+    long: data !== null,
+  };
+  const body = data || [];
+
+  switch (opCode) {
+    case OpCodes.variableValue: {
+      const value = decodeValue(body);
+      message.varID = objectID;
+      message.type = value.type;
+      message.value = value.value;
+      break;
+    }
+    case OpCodes.outputValue:
+    case OpCodes.taskReturnedValue:
+    case OpCodes.version: {
+      const value = decodeValue(body);
+      message.chunkID = objectID;
+      message.type = value.type;
+      message.value = value.value;
+      break;
+    }
+    case OpCodes.variableName:
+      message.varID = objectID;
+      message.name = unpackString(body);
+      break;
+    case OpCodes.broadcast:
+      message.message = decodeValue(body).value;
+      break;
+    case OpCodes.taskError:
+      message.chunkID = objectID;
+      message.errorCode = body[0];
+      message.errorName = ErrorNames[body[0]] || `error ${body[0]}`;
+      if (body.length >= 5) {
+        // address of the failing instruction, in little endian
+        message.ip =
+          (body[4] << 24) | (body[3] << 16) | (body[2] << 8) | body[1];
+      }
+      break;
+    case OpCodes.taskStarted:
+    case OpCodes.taskDone:
+    case OpCodes.startChunk:
+    case OpCodes.stopChunk:
+    case OpCodes.deleteChunk:
+    case OpCodes.getChunkCRC:
+      message.chunkID = objectID;
+      break;
+    case OpCodes.chunkCode:
+      message.chunkID = objectID;
+      message.chunkType = body[0];
+      message.code = body.slice(1);
+      break;
+    case OpCodes.chunkCRC:
+      message.chunkID = objectID;
+      message.crc = body;
+      break;
+    case OpCodes.chunkAttribute:
+      message.chunkID = objectID;
+      message.attributeID = body[0];
+      message.data = body.slice(1);
+      break;
+    case OpCodes.getVarValue:
+      if (data) {
+        message.varName = unpackString(body);
+      } else {
+        message.varID = objectID;
+      }
+      break;
+    case OpCodes.setVarValue: {
+      const value = decodeValue(body);
+      message.varID = objectID;
+      message.type = value.type;
+      message.value = value.value;
+      break;
+    }
+    default:
+      if (data) {
+        message.data = body;
+      }
+  }
+
+  return message;
+}
+
+/**
+ * Incremental decoder for a byte stream coming from (or going to) a board.
+ * Feed it bytes as they arrive and it returns every complete message.
+ *
+ * Incoming bytes are copied into a single growing buffer, and messages are
+ * decoded in place, so a board streaming values at full speed costs no more
+ * than a copy per chunk. Anything that doesn't look like a message header,
+ * such as boot messages or a message we joined halfway, is skipped one byte
+ * at a time until the stream makes sense again.
+ */
+class Decoder {
+  /**
+   * @param {options} {maxDataSize, stallTimeout, keepFrames}, where
+   *   maxDataSize is the largest long message body we accept, in bytes, as
+   *   headers announcing more are taken for noise, stallTimeout is how long
+   *   we wait for the rest of a long message, in milliseconds, and keepFrames
+   *   adds the raw bytes of each message to it, as a frame field, for
+   *   tracing.
+   */
+  constructor(options) {
+    this.maxDataSize = (options && options.maxDataSize) || MAX_DATA_SIZE;
+    this.stallTimeout = (options && options.stallTimeout) || STALL_TIMEOUT;
+    this.keepFrames = !!(options && options.keepFrames);
+    this.buffer = Buffer.alloc(INITIAL_BUFFER_SIZE);
+    // pending bytes are the ones from start to end
+    this.start = 0;
+    this.end = 0;
+    // how many bytes were skipped while looking for message headers
+    this.droppedBytes = 0;
+    // since when the first pending long message has been incomplete
+    this.waitingSince = null;
+    // {opCode, opName, objectID, dataSize} of the last header skipped for
+    // announcing more than maxDataSize, until someone takes it
+    this.oversized = null;
+  }
+
+  /**
+   * Append bytes to the decoder buffer and decode all complete messages.
+   *
+   * @param {bytes} Array or Buffer of incoming bytes.
+   * @return {Array} Structured messages, in arrival order.
+   */
+  push(bytes) {
+    this.append(bytes);
+    const messages = [];
+    let message = this.next();
+    while (message) {
+      messages.push(message);
+      message = this.next();
+    }
+    if (this.start === this.end) {
+      this.start = 0;
+      this.end = 0;
+    }
+    return messages;
+  }
+
+  /**
+   * Copy bytes after the pending ones, moving these to the front of the
+   * buffer or growing it when there's no room left.
+   */
+  append(bytes) {
+    const pending = this.end - this.start;
+    if (this.end + bytes.length > this.buffer.length) {
+      if (pending + bytes.length > this.buffer.length) {
+        const buffer = Buffer.alloc(
+          Math.max(this.buffer.length * 2, pending + bytes.length)
+        );
+        this.buffer.copy(buffer, 0, this.start, this.end);
+        this.buffer = buffer;
+      } else {
+        this.buffer.copy(this.buffer, 0, this.start, this.end);
+      }
+      this.start = 0;
+      this.end = pending;
+    }
+    this.buffer.set(bytes, this.end);
+    this.end += bytes.length;
+  }
+
+  /**
+   * Decode the next complete message in the buffer, if any.
+   *
+   * @return {Object} The structured message, or null.
+   */
+  next() {
+    const buffer = this.buffer;
+    while (this.start < this.end) {
+      const start = this.start;
+      const available = this.end - start;
+      const header = buffer[start];
+      if (header !== SHORT_MESSAGE && header !== LONG_MESSAGE) {
+        this.skip();
+        continue;
+      }
+      if (available < 3) {
+        return null;
+      }
+      const opCode = buffer[start + 1];
+      if (!OpNames[opCode]) {
+        // not a real message header
+        this.skip();
+        continue;
+      }
+
+      if (header === SHORT_MESSAGE) {
+        this.start += 3;
+        this.waitingSince = null;
+        const message = decodeMessage(opCode, buffer[start + 2], null);
+        return this.frame(message, start);
+      }
+
+      if (available < 5) {
+        return null;
+      }
+      // the size counts the terminator, so it's never 0
+      const dataSize = buffer.readUInt16LE(start + 3);
+      if (dataSize > this.maxDataSize) {
+        this.oversized = {
+          opCode,
+          opName: OpNames[opCode],
+          objectID: buffer[start + 2],
+          dataSize,
+        };
+      }
+      if (dataSize === 0 || dataSize > this.maxDataSize) {
+        this.skip();
+        continue;
+      }
+      if (available < dataSize + 5) {
+        // Payload bytes may look like messages, so we can't tell a stray
+        // header from a message that's still coming until its terminator is
+        // in. A stray header holds up the messages behind it until then, or
+        // until it has waited for too long.
+        if (this.waitingSince === null) {
+          this.waitingSince = Date.now();
+        } else if (Date.now() - this.waitingSince >= this.stallTimeout) {
+          this.skip();
+          continue;
+        }
+        return null;
+      }
+      // the terminator is found by position, payload bytes may have any value
+      if (buffer[start + 4 + dataSize] !== TERMINATOR) {
+        this.skip();
+        continue;
+      }
+      const data = Array.from(buffer.subarray(start + 5, start + 4 + dataSize));
+      this.start += dataSize + 5;
+      this.waitingSince = null;
+      const message = decodeMessage(opCode, buffer[start + 2], data);
+      return this.frame(message, start);
+    }
+    return null;
+  }
+
+  /**
+   * Tell how long until the pending long message stalls, and its header is
+   * taken for noise on the next push.
+   *
+   * @return {number} milliseconds, or -1 if no long message is pending.
+   */
+  stallDelay() {
+    if (this.waitingSince === null) {
+      return -1;
+    }
+    return Math.max(0, this.waitingSince + this.stallTimeout - Date.now());
+  }
+
+  /**
+   * Add the raw bytes of a message to it, if we were asked to.
+   *
+   * @param {message} the message just decoded.
+   * @param {start} where the message starts in the buffer.
+   * @return {Object} the message.
+   */
+  frame(message, start) {
+    if (this.keepFrames) {
+      message.frame = Array.from(this.buffer.subarray(start, this.start));
+    }
+    return message;
+  }
+
+  /**
+   * Drop the first pending byte, to look for a message header after it.
+   */
+  skip() {
+    this.start++;
+    this.droppedBytes++;
+    this.waitingSince = null;
+  }
+}
+
+module.exports = {
+  NAMED_VAR_ID,
+  OpCodes,
+  OpNames,
+  VarTypes,
+  VarTypeNames,
+  MAX_INT,
+  MIN_INT,
+  ErrorNames,
+  packString,
+  unpackString,
+  packValue,
+  unpackValue,
+  encodeShortMessage,
+  encodeLongMessage,
+  encodeMessage,
+  decodeMessage,
+  Decoder,
+  getVarValueMessage,
+  getNamedVarValueMessage,
+  setVarValueMessage,
+  getVarNamesMessage,
+  broadcastMessage,
+  startAllMessage,
+  stopAllMessage,
+  systemResetMessage,
+};
@@ -0,0 +1,257 @@
+/**
+ * radio.js - Reassembly of messages from boards behind a radio bridge.
+ *
+ * Radio packets are 32 bytes long: a marker byte, the packet index (starting
+ * at 1), the packet count and the message CRC, followed by 28 bytes of
+ * message data. The last packet of a message is padded with zeros. The bridge
+ * board relays each packet it gets as a "moz-packet<sender ID>:<bytes>"
+ * broadcast, with the bytes in decimal, separated by commas.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+const PACKET_PREFIX = 'moz-packet';
+const PACKET_MARKER = 31;
+const HEADER_SIZE = 4;
+const DATA_SIZE = 28;
+const PACKET_SIZE = HEADER_SIZE + DATA_SIZE;
+
+// How long a message may go without receiving new packets before we ask the
+// bridge for the missing ones, in milliseconds
+const RESEND_DELAY = 1000;
+
+// How many times we ask for missing packets before giving up on a message
+const MAX_RESENDS = 3;
+
+// How often we look for stalled messages, in milliseconds
+const SWEEP_INTERVAL = 500;
+
+/**
+ * Tell whether a broadcast is a radio packet relayed by a bridge.
+ *
+ * @param {message} broadcast message content, as a string.
+ * @return {boolean}
+ */
+function isRadioPacket(message) {
+  return message.startsWith(PACKET_PREFIX);
+}
+
+/**
+ * Tell whether a packet is made of PACKET_SIZE bytes.
+ *
+ * @param {packet} the packet, as an array.
+ * @return {boolean}
+ */
+function isValidPacket(packet) {
+  return Array.isArray(packet) && packet.length === PACKET_SIZE &&
+    packet.every(function(byte) {
+      return Number.isInteger(byte) && byte >= 0 && byte <= 255;
+    });
+}
+
+/**
+ * Parse a radio packet broadcast.
+ *
+ * @param {message} broadcast message content, as a string.
+ * @return {Object} {senderID, packet}, where packet is an array of bytes,
+ *   or null if the message is malformed.
+ */
+function parseRadioPacket(message) {
+  const separator = message.indexOf(':', PACKET_PREFIX.length);
+  if (separator === -1) {
+    return null;
+  }
+  const senderID = message.substring(PACKET_PREFIX.length, separator);
+  const packet = message.substring(separator + 1).split(',').map(
+    function(byte) {
+      return /^\s*\d{1,3}\s*$/.test(byte) ? parseInt(byte, 10) : NaN;
+    }
+  );
+  return isValidPacket(packet) ? {senderID, packet} : null;
+}
+
+/**
+ * Compute the CRC the sender puts in the header of every packet of a
+ * message.
+ *
+ * @param {bytes} the whole message.
+ * @return {int} the CRC, from 0 to 254.
+ */
+function computeCRC(bytes) {
+  return bytes.reduce(function(acc, byte, i) {
+    return acc + (byte * (i + 1));
+  }, bytes.length) % 255;
+}
+
+/**
+ * Split a message into radio packets, the way boards behind a bridge do.
+ *
+ * @param {bytes} the message, as an array of bytes.
+ * @return {Array} the packets, each an array of 32 bytes.
+ */
+function splitRadioMessage(bytes) {
+  const crc = computeCRC(bytes);
+  const count = Math.max(1, Math.ceil(bytes.length / DATA_SIZE));
+  const packets = [];
+  for (let index = 1; index <= count; index++) {
+    const data = bytes.slice((index - 1) * DATA_SIZE, index * DATA_SIZE);
+    while (data.length < DATA_SIZE) {
+      data.push(0);
+    }
+    packets.push([PACKET_MARKER, index, count, crc].concat(data));
+  }
+  return packets;
+}
+
+/**
+ * Puts radio messages back together out of their packets, which may arrive
+ * duplicated, out of order or not at all.
+ *
+ * Emits "message" (senderID, bytes) for each complete message,
+ * "resend" (senderID, crc, indices) when packets need to be sent again, and
+ * "expire" (senderID, crc) when we give up on a message. An empty list of
+ * indices means the whole message.
+ */
+class RadioReassembler extends EventEmitter {
+  /**
+   * @param {options} {resendDelay, sweepInterval}, in milliseconds, to
+   *   override RESEND_DELAY and SWEEP_INTERVAL.
+   */
+  constructor(options) {
+    super();
+    this.resendDelay = (options && options.resendDelay) || RESEND_DELAY;
+    this.sweepInterval = (options && options.sweepInterval) || SWEEP_INTERVAL;
+    // messages being received, indexed by sender ID and then by CRC
+    this.sessions = new Map();
+    this.sweeper = null;
+  }
+
+  /**
+   * Add a packet to the message it belongs to. Packets that aren't
+   * PACKET_SIZE bytes long are ignored.
+   *
+   * @param {senderID} radio ID of the board that sent the packet.
+   * @param {packet} the packet, as an array of bytes.
+   */
+  push(senderID, packet) {
+    if (!isValidPacket(packet) || packet[0] !== PACKET_MARKER) {
+      return;
+    }
+    const index = packet[1];
+    const count = packet[2];
+    const crc = packet[3];
+    if (index < 1 || index > count) {
+      return;
+    }
+
+    if (!this.sessions.has(senderID)) {
+      this.sessions.set(senderID, new Map());
+    }
+    const senderSessions = this.sessions.get(senderID);
+    let session = senderSessions.get(crc);
+    if (!session || session.count !== count) {
+      session = {crc, count, packets: new Map(), resends: 0};
+      senderSessions.set(crc, session);
+    }
+    // duplicates just overwrite the copy we already have
+    session.packets.set(index, packet.slice(HEADER_SIZE));
+    session.lastSeen = Date.now();
+
+    if (session.packets.size === count) {
+      senderSessions.delete(crc);
+      if (senderSessions.size === 0) {
+        this.sessions.delete(senderID);
+      }
+      this.complete(senderID, session);
+    }
+    this.updateSweeper();
+  }
+
+  /**
+   * Check the CRC of a message whose packets have all arrived, and emit it.
+   */
+  complete(senderID, session) {
+    let bytes = [];
+    for (let index = 1; index < session.count; index++) {
+      bytes = bytes.concat(session.packets.get(index));
+    }
+    // Only the last packet is padded, with zeros, but the message may end
+    // with zeros too. The CRC counts the message length, so we take the
+    // first length it matches.
+    const last = session.packets.get(session.count);
+    let end = last.length;
+    while (end > 0 && last[end - 1] === 0) {
+      end--;
+    }
+    for (; end <= last.length; end++) {
+      const message = bytes.concat(last.slice(0, end));
+      if (computeCRC(message) === session.crc) {
+        this.emit('message', senderID, message);
+        return;
+      }
+    }
+    this.emit('resend', senderID, session.crc, []);
+  }
+
+  /**
+   * Ask for missing packets of stalled messages, and drop the ones we've
+   * asked for too many times.
+   */
+  sweep() {
+    const now = Date.now();
+    this.sessions.forEach((senderSessions, senderID) => {
+      senderSessions.forEach((session, crc) => {
+        if (now - session.lastSeen < this.resendDelay) {
+          return;
+        } else if (session.resends >= MAX_RESENDS) {
+          senderSessions.delete(crc);
+          this.emit('expire', senderID, crc);
+          return;
+        }
+        const missing = [];
+        for (let index = 1; index <= session.count; index++) {
+          if (!session.packets.has(index)) {
+            missing.push(index);
+          }
+        }
+        session.resends++;
+        session.lastSeen = now;
+        this.emit('resend', senderID, crc, missing);
+      });
+      if (senderSessions.size === 0) {
+        this.sessions.delete(senderID);
+      }
+    });
+    this.updateSweeper();
+  }
+
+  /**
+   * Only keep the sweeper running while there are messages being received.
+   */
+  updateSweeper() {
+    if (this.sessions.size > 0 && !this.sweeper) {
+      this.sweeper = setInterval(() => this.sweep(), this.sweepInterval);
+    } else if (this.sessions.size === 0 && this.sweeper) {
+      this.stop();
+    }
+  }
+
+  stop() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+}
+
+module.exports = {
+  RadioReassembler,
+  isRadioPacket,
+  parseRadioPacket,
+  computeCRC,
+  splitRadioMessage,
+};
@@ -0,0 +1,740 @@
+/**
+ * adapter.test.js - The adapter driving virtual boards.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const manifest = require('../manifest.json');
+const {
+  VIRTUAL_PORTS,
+  TEST_DIR,
+  startAdapter,
+  plug,
+  waitFor,
+  delay,
+  until,
+} = require('./helpers');
+const {VirtualBoard} = require('./emulator');
+const {OpCodes} = require('../protocol');
+
+const LAMP = {
+  title: 'Lamp',
+  properties: {
+    on: {title: 'On', type: 'boolean'},
+    level: {title: 'Level', type: 'integer', minimum: 0, maximum: 10},
+    temperature: {type: 'number', decimals: 1, readOnly: true, pollInterval: 0},
+  },
+  events: {button: {type: 'integer'}},
+  actions: {
+    blink: {input: {type: 'object', properties: {times: {type: 'integer'}}}},
+    hang: {timeout: 0.2},
+  },
+};
+
+function lampBoard() {
+  const board = new VirtualBoard({
+    thingDescription: LAMP,
+    variables: {on: false, level: 3, temperature: 215, times: 0},
+  });
+  board.on('broadcast', (message) => {
+    if (message === 'blink') {
+      setTimeout(() => board.broadcast('blink done'), 10);
+    }
+  });
+  return board;
+}
+
+describe('MicroBlocksAdapter', function() {
+  let manager;
+  let adapter;
+
+  beforeEach(function() {
+    return startAdapter().then((started) => {
+      manager = started.manager;
+      adapter = started.adapter;
+    });
+  });
+
+  afterEach(function() {
+    return adapter.unload();
+  });
+
+  /**
+   * Plug a board in and wait for its thing to be added and to have read the
+   * values of all the properties the board describes.
+   */
+  function pair(board, portInfo) {
+    const description = JSON.parse(board.getVariable('_thing description'));
+    const added = waitFor(manager, 'deviceAdded');
+    plug(adapter, board, portInfo);
+    return added.then((device) => {
+      return until(() => {
+        return Object.keys(description.properties).every((name) => {
+          return typeof device.properties.get(name).value !== 'undefined';
+        });
+      }).then(() => device);
+    });
+  }
+
+  /**
+   * Request an action the way the gateway does and collect the statuses the
+   * adapter reports for it, until it completes or fails.
+   *
+   * @return {Promise} which resolves to the statuses, in order.
+   */
+  function perform(device, actionId, actionName, input) {
+    const statuses = [];
+    const ended = waitFor(manager, 'actionStatus', (action) => {
+      if (action.id !== actionId) {
+        return false;
+      }
+      statuses.push(action.status);
+      return action.status !== 'pending';
+    });
+    return device.requestAction(actionId, actionName, input).then(() => {
+      return ended;
+    }).then(() => statuses);
+  }
+
+  describe('pairing', function() {
+    it('adds the thing described by a board', function() {
+      return pair(lampBoard()).then((device) => {
+        assert.strictEqual(device.title, 'Lamp');
+        assert.ok(device.id.startsWith('microblocks-'));
+        assert.ok(device.connected);
+        assert.deepStrictEqual(
+          ['on', 'level', 'temperature'].map((name) => {
+            return device.properties.has(name);
+          }),
+          [true, true, true]
+        );
+        assert.ok(device.events.has('button'));
+        assert.ok(device.actions.has('blink'));
+        assert.strictEqual(manager.devices.get(device.id), device);
+      });
+    });
+
+    it('passes the description of the thing on to the gateway', function() {
+      const board = new VirtualBoard({
+        thingDescription: Object.assign({description: 'By the sofa'}, LAMP),
+        variables: {on: false, level: 3, temperature: 215, times: 0},
+      });
+      return pair(board).then((device) => {
+        const thing = device.asThing();
+        assert.strictEqual(thing.description, 'By the sofa');
+        assert.ok(thing.properties.level);
+        // updates still tell what changed
+        const same = JSON.parse(board.getVariable('_thing description'));
+        same.id = device.id;
+        assert.ok(!device.updateDescription(same));
+      });
+    });
+
+    it('lets go of ports without a board', function() {
+      const port = plug(adapter, new VirtualBoard());
+      return waitFor(port, 'close').then(() => {
+        assert.strictEqual(manager.devices.size, 0);
+        assert.ok(adapter.probedPorts.has(VIRTUAL_PORTS[0]));
+      });
+    });
+
+    it('gives boards running the same program their own things', function() {
+      return pair(lampBoard()).then((first) => {
+        return pair(lampBoard(), {
+          path: VIRTUAL_PORTS[1],
+          serialNumber: 'E66038B714',
+        }).then((second) => {
+          assert.notStrictEqual(first.id, second.id);
+          assert.strictEqual(manager.devices.size, 2);
+        });
+      });
+    });
+
+    it('asks boards that are several things for variables once', function() {
+      const board = new VirtualBoard({
+        thingDescription: [
+          {title: 'Lamp', properties: {on: {type: 'boolean'}}},
+          {title: 'Fan', properties: {speed: {type: 'integer'}}},
+          {title: 'Heater', properties: {heat: {type: 'integer'}}},
+        ],
+        variables: {on: true, speed: 2, heat: 20},
+      });
+      let requests = 0;
+      board.on('message', (message) => {
+        if (message.opCode === OpCodes.getVarNames) {
+          requests++;
+        }
+      });
+      const read = (name) => [...manager.devices.values()].some((device) => {
+        const property = device.properties.get(name);
+        return property && typeof property.value !== 'undefined';
+      });
+      plug(adapter, board);
+      return until(() => ['on', 'speed', 'heat'].every(read)).then(() => {
+        assert.strictEqual(manager.devices.size, 3);
+        assert.strictEqual(requests, 1);
+      });
+    });
+
+    it('explains what is wrong with a description', function() {
+      const board = new VirtualBoard({
+        thingDescription: '{"title": "Lamp", "properties": {"on": {}}}',
+      });
+      const prompt = waitFor(manager, 'pairingPrompt');
+      plug(adapter, board);
+      return prompt.then((text) => {
+        assert.ok(/property "on"/.test(text), text);
+        assert.strictEqual(manager.devices.size, 0);
+      });
+    });
+
+    it('adds things once their board fixes its description', function() {
+      const board = new VirtualBoard({
+        thingDescription: '{"title": "Lamp", "properties": {"on": {}}}',
+        variables: {on: true},
+      });
+      const prompt = waitFor(manager, 'pairingPrompt');
+      plug(adapter, board);
+      return prompt.then(() => {
+        assert.ok(adapter.ports.has(VIRTUAL_PORTS[0]));
+        board.setVariable('_thing description', JSON.stringify({
+          title: 'Lamp',
+          properties: {on: {type: 'boolean'}},
+        }));
+        const added = waitFor(manager, 'deviceAdded');
+        // pairing reloads the settings and scans ports, which has to be over
+        // before the adapter is unloaded
+        const scanned = waitFor(manager, 'pairingPrompt', (text) => {
+          return /No new MicroBlocks boards/.test(text);
+        });
+        adapter.startPairing();
+        return Promise.all([added, scanned]).then(([device]) => device);
+      }).then((device) => {
+        assert.strictEqual(device.title, 'Lamp');
+        assert.ok(device.connected);
+      });
+    });
+
+    it('says when a description is too long to read', function() {
+      const board = new VirtualBoard({
+        thingDescription: {
+          title: 'Lamp',
+          description: 'x'.repeat(20000),
+          properties: {},
+        },
+      });
+      const prompt = waitFor(manager, 'pairingPrompt', (text) => {
+        return /bytes long/.test(text);
+      });
+      plug(adapter, board);
+      return prompt.then((text) => {
+        assert.ok(/more than the 16384 bytes/.test(text), text);
+        assert.strictEqual(manager.devices.size, 0);
+      });
+    });
+  });
+
+  describe('program changes', function() {
+    it('follows the description of a board as it changes', function() {
+      const board = lampBoard();
+      let device;
+      let requests = 0;
+      board.on('message', (message) => {
+        if (message.opCode === OpCodes.getVarNames) {
+          requests++;
+        }
+      });
+      return pair(board).then((added) => {
+        device = added;
+        requests = 0;
+        // the variables of the new program get other IDs
+        board.reprogram({
+          thingDescription: {
+            title: 'Lamp',
+            properties: {
+              brightness: {type: 'integer'},
+              on: {title: 'On', type: 'boolean'},
+            },
+          },
+          variables: {brightness: 60, on: true},
+        });
+        const updated = waitFor(manager, 'deviceAdded');
+        board.broadcast('_thing description changed');
+        return updated;
+      }).then((updated) => {
+        assert.strictEqual(updated, device);
+        assert.strictEqual(manager.devices.size, 1);
+        assert.ok(device.properties.has('brightness'));
+        assert.ok(device.properties.has('on'));
+        assert.ok(!device.properties.has('level'));
+        assert.ok(!device.properties.has('temperature'));
+        assert.ok(!device.actions.has('blink'));
+        return until(() => {
+          return device.properties.get('brightness').value === 60 &&
+            device.properties.get('on').value === true;
+        });
+      }).then(() => {
+        assert.strictEqual(requests, 1);
+        assert.strictEqual(manager.devices.get(device.id), device);
+      });
+    });
+  });
+
+  describe('polling', function() {
+    it('reads property values from the board', function() {
+      const board = lampBoard();
+      return pair(board).then((device) => {
+        assert.strictEqual(device.properties.get('level').value, 3);
+        board.setVariable('level', 7);
+        return waitFor(manager, 'propertyChanged', (property) => {
+          return property.name === 'level';
+        });
+      }).then((property) => {
+        assert.strictEqual(property.value, 7);
+      });
+    });
+
+    it('takes values pushed by the board', function() {
+      const board = lampBoard();
+      return pair(board).then(() => {
+        board.broadcast('temperature=230');
+        return waitFor(manager, 'propertyChanged', (property) => {
+          return property.name === 'temperature';
+        });
+      }).then((property) => {
+        assert.strictEqual(property.value, 23);
+      });
+    });
+
+    it('fires events broadcast by the board', function() {
+      const board = lampBoard();
+      return pair(board).then(() => {
+        board.broadcast('button:3');
+        return waitFor(manager, 'event');
+      }).then((event) => {
+        assert.strictEqual(event.name, 'button');
+        assert.strictEqual(event.data, 3);
+      });
+    });
+  });
+
+  describe('writes', function() {
+    it('sets board variables', function() {
+      const board = lampBoard();
+      return pair(board).then((device) => {
+        return device.properties.get('on').setValue(true);
+      }).then((value) => {
+        assert.strictEqual(value, true);
+        return delay(50);
+      }).then(() => {
+        assert.strictEqual(board.getVariable('on'), true);
+      });
+    });
+
+    it('refuses values the property does not allow', function() {
+      const board = lampBoard();
+      return pair(board).then((device) => {
+        return Promise.all([
+          device.properties.get('level').setValue(11).then(
+            () => assert.fail('wrote a value over the maximum'),
+            (problem) => assert.ok(/at most 10/.test(problem), problem)
+          ),
+          device.properties.get('temperature').setValue(20).then(
+            () => assert.fail('wrote a read-only property'),
+            (problem) => assert.ok(/read-only/i.test(problem), problem)
+          ),
+        ]);
+      }).then(() => {
+        assert.strictEqual(board.getVariable('level'), 3);
+      });
+    });
+
+    it('takes numeric enums and fractional multiples', function() {
+      const board = new VirtualBoard({
+        thingDescription: {
+          title: 'Fan',
+          properties: {
+            speed: {type: 'integer', enum: [1, 2, 3]},
+            gain: {type: 'number', decimals: 1, multipleOf: 0.1},
+          },
+        },
+        variables: {speed: 1, gain: 10},
+      });
+      return pair(board).then((device) => {
+        return Promise.all([
+          device.properties.get('speed').setValue(2),
+          device.properties.get('gain').setValue(0.3),
+        ]);
+      }).then((values) => {
+        assert.deepStrictEqual(values, [2, 0.3]);
+        return delay(50);
+      }).then(() => {
+        assert.strictEqual(board.getVariable('speed'), 2);
+        assert.strictEqual(board.getVariable('gain'), 3);
+      });
+    });
+  });
+
+  describe('actions', function() {
+    it('broadcasts actions and waits for the board to finish', function() {
+      const board = lampBoard();
+      return pair(board).then((device) => {
+        return perform(device, '1', 'blink', {times: 3});
+      }).then((statuses) => {
+        assert.deepStrictEqual(statuses, ['pending', 'completed']);
+        assert.strictEqual(board.getVariable('times'), 3);
+      });
+    });
+
+    it('fails actions the board does not finish in time', function() {
+      return pair(lampBoard()).then((device) => {
+        return perform(device, '2', 'hang');
+      }).then((statuses) => {
+        assert.deepStrictEqual(statuses, ['pending', 'error']);
+      });
+    });
+
+    it('fails actions the gateway cancels', function() {
+      let device;
+      return pair(lampBoard()).then((added) => {
+        device = added;
+        const statuses = perform(device, '3', 'hang');
+        return delay(50).then(() => {
+          return device.removeAction('3', 'hang');
+        }).then(() => statuses);
+      }).then((statuses) => {
+        assert.deepStrictEqual(statuses, ['pending', 'error']);
+        assert.strictEqual(device.pendingActions.length, 0);
+      });
+    });
+
+    it('starts and stops the scripts of the board', function() {
+      const board = lampBoard();
+      return pair(board).then((device) => {
+        assert.ok(board.running);
+        return perform(device, '4', 'stop').then((statuses) => {
+          assert.deepStrictEqual(statuses, ['pending', 'completed']);
+          assert.ok(!board.running);
+          assert.strictEqual(device.properties.get('running').value, false);
+        });
+      });
+    });
+  });
+
+  describe('hotplug', function() {
+    it('keeps unplugged things until their board comes back', function() {
+      const board = lampBoard();
+      let device;
+      return pair(board).then((added) => {
+        device = added;
+        const disconnected = waitFor(manager, 'connected');
+        adapter.ports.get(VIRTUAL_PORTS[0]).unplug();
+        return disconnected;
+      }).then(() => {
+        assert.ok(!device.connected);
+        assert.strictEqual(device.serialPort, null);
+        const connected = waitFor(manager, 'connected');
+        plug(adapter, board);
+        return connected;
+      }).then((reattached) => {
+        assert.strictEqual(reattached, device);
+        assert.ok(device.connected);
+        assert.strictEqual(manager.devices.size, 1);
+      });
+    });
+
+    it('fails pending actions when the board is unplugged', function() {
+      let device;
+      return pair(lampBoard()).then((added) => {
+        device = added;
+        const statuses = perform(device, '5', 'hang');
+        return delay(50).then(() => {
+          adapter.ports.get(VIRTUAL_PORTS[0]).unplug();
+          return statuses;
+        });
+      }).then((statuses) => {
+        assert.deepStrictEqual(statuses, ['pending', 'error']);
+        // and actions requested while it's unplugged fail right away
+        return perform(device, '6', 'stop');
+      }).then((statuses) => {
+        assert.deepStrictEqual(statuses, ['error']);
+      });
+    });
+  });
+
+  describe('radio', function() {
+    let bridge;
+    let radioBoard;
+
+    beforeEach(function() {
+      bridge = new VirtualBoard({
+        thingDescription: {title: 'Bridge', properties: {}},
+      });
+      radioBoard = new VirtualBoard({
+        thingDescription: {
+          title: 'Weather station',
+          properties: {humidity: {type: 'integer'}},
+        },
+        variables: {humidity: 40},
+      });
+      bridge.addRadioBoard('42', radioBoard);
+      return pair(bridge);
+    });
+
+    function pairRadioBoard() {
+      const added = waitFor(manager, 'deviceAdded', (device) => {
+        return device.radioDeviceID === '42';
+      });
+      bridge.announceRadioBoard('42');
+      return added;
+    }
+
+    it('adds the things behind a bridge', function() {
+      return pairRadioBoard().then((device) => {
+        assert.strictEqual(device.title, 'Weather station');
+        assert.strictEqual(
+          device.serialPort,
+          adapter.ports.get(VIRTUAL_PORTS[0])
+        );
+        return waitFor(manager, 'propertyChanged', (property) => {
+          return property.device === device;
+        });
+      }).then((property) => {
+        assert.strictEqual(property.value, 40);
+      });
+    });
+
+    it('leaves board output and control to the bridge', function() {
+      return pairRadioBoard().then((device) => {
+        ['lastMessage', 'running'].forEach((name) => {
+          assert.ok(!device.properties.has(name), name);
+        });
+        ['output', 'error'].forEach((name) => {
+          assert.ok(!device.events.has(name), name);
+        });
+        assert.ok(!device.actions.has('stop'));
+        const bridgeThing = [...manager.devices.values()].find((thing) => {
+          return thing.title === 'Bridge';
+        });
+        assert.ok(bridgeThing.events.has('output'));
+      });
+    });
+
+    it('sets variables of boards behind a bridge', function() {
+      return pairRadioBoard().then((device) => {
+        return device.properties.get('humidity').setValue(55);
+      }).then(() => delay(50)).then(() => {
+        assert.strictEqual(radioBoard.getVariable('humidity'), 55);
+      });
+    });
+
+    describe('with more boards behind the bridge', function() {
+      let gardenBoard;
+
+      beforeEach(function() {
+        gardenBoard = new VirtualBoard({
+          thingDescription: {
+            title: 'Garden sensor',
+            properties: {moisture: {type: 'integer'}},
+          },
+          variables: {moisture: 12},
+        });
+        bridge.addRadioBoard('43', gardenBoard);
+      });
+
+      /**
+       * Have both boards behind the bridge send their descriptions.
+       *
+       * @return {Promise} which resolves to their things.
+       */
+      function pairRadioBoards() {
+        return pairRadioBoard().then((weather) => {
+          const added = waitFor(manager, 'deviceAdded', (device) => {
+            return device.radioDeviceID === '43';
+          });
+          bridge.announceRadioBoard('43');
+          return added.then((garden) => [weather, garden]);
+        });
+      }
+
+      it('keeps the bridge open for the other things', function() {
+        const port = adapter.ports.get(VIRTUAL_PORTS[0]);
+        let garden;
+        return pairRadioBoards().then(([weather, added]) => {
+          garden = added;
+          return adapter.removeThing(weather);
+        }).then(() => {
+          assert.ok(port.isOpen);
+          assert.strictEqual(adapter.ports.get(VIRTUAL_PORTS[0]), port);
+          assert.ok(garden.connected);
+          gardenBoard.setVariable('moisture', 30);
+          return waitFor(manager, 'propertyChanged', (property) => {
+            return property.device === garden && property.value === 30;
+          });
+        });
+      });
+
+      it('disconnects every thing behind an unplugged bridge', function() {
+        return pairRadioBoards().then(() => {
+          assert.strictEqual(manager.devices.size, 3);
+          adapter.ports.get(VIRTUAL_PORTS[0]).unplug();
+          return until(() => {
+            return [...manager.devices.values()].every((device) => {
+              return !device.connected;
+            });
+          });
+        }).then(() => {
+          assert.strictEqual(manager.devices.size, 3);
+          assert.ok(!adapter.ports.has(VIRTUAL_PORTS[0]));
+        });
+      });
+    });
+  });
+});
+
+describe('MicroBlocksAdapter thing IDs', function() {
+  // the ID things without a unique identifier had in earlier versions
+  const LEGACY_ID = `microblocks-${
+    crypto.createHash('sha1').update('Lamp').digest('hex')}`;
+
+  /**
+   * Pair boards running the same program, without USB serial numbers, on
+   * the given ports, one after the other.
+   *
+   * @param {paths} the port paths, in the order the boards are found.
+   * @param {dataDir} add-on data directory, a fresh one by default.
+   * @return {Promise} which resolves to the thing IDs, by port path.
+   */
+  function pairInOrder(paths, dataDir) {
+    return startAdapter({}, dataDir).then(({manager, adapter}) => {
+      const ids = {};
+      const thingAt = (path) => [...manager.devices.values()].find((device) => {
+        return device.connected && device.serialPort &&
+          device.serialPort.path === path;
+      });
+      return paths.reduce((previous, path) => {
+        return previous.then(() => {
+          plug(adapter, lampBoard(), {path, serialNumber: null});
+          return until(() => thingAt(path)).then(() => {
+            ids[path] = thingAt(path).id;
+          });
+        });
+      }, Promise.resolve()).then(() => adapter.unload()).then(() => ids);
+    });
+  }
+
+  it('keeps the title-based ID for the first board', function() {
+    return pairInOrder([VIRTUAL_PORTS[0]]).then((ids) => {
+      assert.strictEqual(ids[VIRTUAL_PORTS[0]], LEGACY_ID);
+    });
+  });
+
+  it('tells boards without serial numbers apart by port', function() {
+    const dataDir = fs.mkdtempSync(path.join(TEST_DIR, 'data-'));
+    return pairInOrder(VIRTUAL_PORTS, dataDir).then((first) => {
+      assert.strictEqual(first[VIRTUAL_PORTS[0]], LEGACY_ID);
+      assert.notStrictEqual(first[VIRTUAL_PORTS[1]], LEGACY_ID);
+      // whichever board is found first after a restart
+      const reversed = [...VIRTUAL_PORTS].reverse();
+      return pairInOrder(reversed, dataDir).then((second) => {
+        assert.deepStrictEqual(second, first);
+      });
+    });
+  });
+
+  it('keeps the title-based ID for its board while it is away', function() {
+    return startAdapter().then(({manager, adapter}) => {
+      const added = waitFor(manager, 'deviceAdded');
+      plug(adapter, lampBoard(), {path: VIRTUAL_PORTS[0], serialNumber: null});
+      return added.then((device) => {
+        assert.strictEqual(device.id, LEGACY_ID);
+        const disconnected = waitFor(manager, 'connected');
+        adapter.ports.get(VIRTUAL_PORTS[0]).unplug();
+        return disconnected;
+      }).then(() => {
+        const added = waitFor(manager, 'deviceAdded');
+        const portInfo = {path: VIRTUAL_PORTS[1], serialNumber: null};
+        plug(adapter, lampBoard(), portInfo);
+        return added;
+      }).then((device) => {
+        assert.notStrictEqual(device.id, LEGACY_ID);
+        assert.strictEqual(manager.devices.size, 2);
+        return adapter.unload();
+      });
+    });
+  });
+});
+
+describe('MicroBlocksAdapter cache', function() {
+  it('restores known things, disconnected, after a restart', function() {
+    let id;
+    return startAdapter().then(({manager, adapter, dataDir}) => {
+      const added = waitFor(manager, 'deviceAdded');
+      plug(adapter, lampBoard());
+      return added.then((device) => {
+        id = device.id;
+        return adapter.unload();
+      }).then(() => startAdapter({}, dataDir));
+    }).then(({manager, adapter}) => {
+      const device = manager.devices.get(id);
+      assert.ok(device, 'the thing was not restored');
+      assert.strictEqual(device.title, 'Lamp');
+      assert.ok(!device.connected);
+      const connected = waitFor(manager, 'connected');
+      plug(adapter, lampBoard());
+      return connected.then((reattached) => {
+        assert.strictEqual(reattached, device);
+        assert.strictEqual(manager.devices.size, 1);
+        return adapter.unload();
+      });
+    });
+  });
+
+  it('skips cached things it cannot restore', function() {
+    let id;
+    return startAdapter().then(({manager, adapter, dataDir}) => {
+      const added = waitFor(manager, 'deviceAdded');
+      plug(adapter, lampBoard());
+      return added.then((device) => {
+        id = device.id;
+        return adapter.unload();
+      }).then(() => {
+        const file = path.join(dataDir, manifest.id, 'things.json');
+        const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.ok(!('varIDs' in entries[0]));
+        entries.unshift({id: 'microblocks-x'}, null);
+        fs.writeFileSync(file, JSON.stringify(entries));
+        return startAdapter({}, dataDir);
+      });
+    }).then(({manager, adapter}) => {
+      assert.ok(manager.devices.has(id));
+      assert.ok(!adapter.devices.has('microblocks-x'));
+      assert.ok(!adapter.cache.get('microblocks-x'));
+      // and it goes on looking for boards
+      return until(() => adapter.portScanner).then(() => adapter.unload());
+    });
+  });
+
+  it('forgets things that are removed', function() {
+    let id;
+    return startAdapter().then(({manager, adapter, dataDir}) => {
+      const added = waitFor(manager, 'deviceAdded');
+      plug(adapter, lampBoard());
+      return added.then((device) => {
+        id = device.id;
+        return adapter.removeThing(device);
+      }).then(() => adapter.unload()).then(() => startAdapter({}, dataDir));
+    }).then(({manager, adapter}) => {
+      assert.ok(!manager.devices.has(id));
+      return adapter.unload();
+    });
+  });
+});
@@ -0,0 +1,445 @@
+/**
+ * emulator.js - Virtual MicroBlocks boards, for trying out the adapter
+ * without hardware.
+ *
+ * A VirtualBoard holds variables, including its '_thing description', and
+ * answers the adapter requests over the MicroBlocks serial protocol. It can be
+ * reached through a VirtualPort, which has the same interface as a
+ * SerialPort, or over TCP as a network board. A board can also act as a radio
+ * bridge for other virtual boards.
+ *
+ * FakeAddonManager stands in for the gateway, recording what the adapter
+ * tells it.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const net = require('net');
+const protocol = require('../protocol');
+const {splitRadioMessage} = require('../radio');
+
+const {OpCodes, VarTypes} = protocol;
+
+const THING_DESCRIPTION_VAR = '_thing description';
+
+// What FakeAddonManager reports as the gateway version
+const GATEWAY_VERSION = '1.0.0';
+
+/**
+ * Work out the MicroBlocks type of a JavaScript value.
+ *
+ * @param {value} a boolean, number, string, or array of bytes.
+ * @return {int} MicroBlocks type byte.
+ */
+function typeOf(value) {
+  if (typeof value === 'boolean') {
+    return VarTypes.boolean;
+  } else if (typeof value === 'number') {
+    return VarTypes.int;
+  } else if (Array.isArray(value) || Buffer.isBuffer(value)) {
+    return VarTypes.byteArray;
+  }
+  return VarTypes.string;
+}
+
+class VirtualBoard extends EventEmitter {
+  /**
+   * @param {options} {thingDescription, variables}, where thingDescription
+   *   is an object, a list of them or a JSON string and variables maps
+   *   variable names to their initial values.
+   */
+  constructor(options) {
+    super();
+    this.varNames = [];
+    this.varValues = new Map();
+    this.running = false;
+    // boards behind this one, when it acts as a radio bridge
+    this.radioBoards = new Map();
+    // the bridge this board is behind, if any
+    this.bridge = null;
+    this.radioID = null;
+    this.decoder = new protocol.Decoder();
+
+    const variables = (options && options.variables) || {};
+    Object.keys(variables).forEach((varName) => {
+      this.setVariable(varName, variables[varName]);
+    });
+    if (options && options.thingDescription) {
+      this.setThingDescription(options.thingDescription);
+    }
+  }
+
+  /**
+   * Set the thing description of the board, as a new program would.
+   *
+   * @param {description} the description, as an object, a list of them for a
+   *   board that is several things, or a JSON string.
+   */
+  setThingDescription(description) {
+    this.setVariable(
+      THING_DESCRIPTION_VAR,
+      typeof description === 'string' ?
+        description :
+        JSON.stringify(description)
+    );
+  }
+
+  /**
+   * Load a new program, which brings its own variables, with IDs of their
+   * own, and its own thing description.
+   *
+   * @param {options} {thingDescription, variables}, as for the constructor.
+   */
+  reprogram(options) {
+    this.varNames = [];
+    this.varValues.clear();
+    const variables = options.variables || {};
+    Object.keys(variables).forEach((varName) => {
+      this.setVariable(varName, variables[varName]);
+    });
+    this.setThingDescription(options.thingDescription);
+  }
+
+  /**
+   * Set a variable, as the program running on the board would.
+   */
+  setVariable(varName, value) {
+    if (!this.varValues.has(varName)) {
+      this.varNames.push(varName);
+    }
+    this.varValues.set(varName, value);
+  }
+
+  getVariable(varName) {
+    return this.varValues.get(varName);
+  }
+
+  /**
+   * Send bytes to whoever is connected to the board.
+   */
+  send(bytes) {
+    this.emit('data', Buffer.from(bytes));
+  }
+
+  /**
+   * Broadcast a message, as the "broadcast" block would. Boards behind a
+   * bridge send it by radio instead.
+   */
+  broadcast(message) {
+    if (this.bridge) {
+      this.bridge.relayRadioMessage(this.radioID, message);
+    } else {
+      this.send(protocol.encodeLongMessage(
+        OpCodes.broadcast,
+        0,
+        protocol.packString(message)
+      ));
+    }
+  }
+
+  /**
+   * Print a value to the console, as the "say" block would.
+   */
+  say(value) {
+    this.send(protocol.encodeLongMessage(
+      OpCodes.outputValue,
+      0,
+      protocol.packValue(value, typeOf(value))
+    ));
+  }
+
+  /**
+   * Report a runtime error in a script.
+   *
+   * @param {chunkID} ID of the failing script.
+   * @param {errorCode} VM error code.
+   */
+  fail(chunkID, errorCode) {
+    this.send(protocol.encodeLongMessage(
+      OpCodes.taskError,
+      chunkID,
+      [errorCode]
+    ));
+  }
+
+  sendVariable(varID, reportedID) {
+    const value = this.varValues.get(this.varNames[varID]);
+    this.send(protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      reportedID,
+      protocol.packValue(value, typeOf(value))
+    ));
+  }
+
+  /**
+   * Process bytes sent to the board.
+   */
+  receive(bytes) {
+    this.decoder.push(bytes).forEach((message) => {
+      this.emit('message', message);
+      this.processMessage(message);
+    });
+  }
+
+  processMessage(message) {
+    switch (message.opCode) {
+      case OpCodes.getVarValue:
+        if (message.long) {
+          const varID = this.varNames.indexOf(message.varName);
+          if (varID > -1) {
+            this.sendVariable(varID, protocol.NAMED_VAR_ID);
+          }
+        } else if (message.varID < this.varNames.length) {
+          this.sendVariable(message.varID, message.varID);
+        }
+        break;
+      case OpCodes.setVarValue:
+        if (message.varID < this.varNames.length) {
+          this.varValues.set(this.varNames[message.varID], message.value);
+        }
+        break;
+      case OpCodes.getVarNames:
+        this.varNames.forEach((varName, varID) => {
+          this.send(protocol.encodeLongMessage(
+            OpCodes.variableName,
+            varID,
+            protocol.packString(varName)
+          ));
+        });
+        break;
+      case OpCodes.startAll:
+        this.running = true;
+        break;
+      case OpCodes.stopAll:
+        this.running = false;
+        break;
+      case OpCodes.systemReset:
+        this.running = false;
+        this.emit('reset');
+        break;
+      case OpCodes.broadcast:
+        this.receiveBroadcast(message.message);
+        break;
+    }
+  }
+
+  /**
+   * Process a broadcast coming from the adapter, relaying it by radio if it's
+   * meant for a board behind this one.
+   */
+  receiveBroadcast(message) {
+    const radioRequest = /^moz-(get|set|broadcast)([^:]+):(.*)$/.exec(message);
+    if (radioRequest && this.radioBoards.has(radioRequest[2])) {
+      const board = this.radioBoards.get(radioRequest[2]);
+      const args = radioRequest[3];
+      if (radioRequest[1] === 'get') {
+        board.broadcast(`${args}=${board.getVariable(args)}`);
+      } else if (radioRequest[1] === 'set') {
+        const separator = args.indexOf(':');
+        const varName = args.substring(0, separator);
+        const text = args.substring(separator + 1);
+        const current = board.getVariable(varName);
+        let value = text;
+        if (typeof current === 'boolean') {
+          value = text === 'true';
+        } else if (typeof current === 'number') {
+          value = parseInt(text, 10);
+        } else if (Array.isArray(current)) {
+          value = text.split(',').filter(Boolean).map(Number);
+        }
+        board.setVariable(varName, value);
+      } else {
+        board.emit('broadcast', args);
+      }
+      return;
+    }
+    this.emit('broadcast', message);
+  }
+
+  /**
+   * Put another virtual board behind this one, which then acts as a radio
+   * bridge.
+   *
+   * @param {radioID} radio ID of the other board.
+   * @param {board} the other VirtualBoard.
+   */
+  addRadioBoard(radioID, board) {
+    board.bridge = this;
+    board.radioID = radioID;
+    this.radioBoards.set(radioID, board);
+  }
+
+  /**
+   * Relay a message from a board behind this bridge, one packet per
+   * broadcast.
+   */
+  relayRadioMessage(radioID, message) {
+    splitRadioMessage(protocol.packString(message)).forEach((packet) => {
+      this.broadcast(`moz-packet${radioID}:${packet.join(',')}`);
+    });
+  }
+
+  /**
+   * Have a board behind this bridge send its thing description by radio.
+   */
+  announceRadioBoard(radioID) {
+    const board = this.radioBoards.get(radioID);
+    this.relayRadioMessage(radioID, board.getVariable(THING_DESCRIPTION_VAR));
+  }
+
+  /**
+   * Serve the board over TCP, so the adapter can reach it as a network
+   * board.
+   *
+   * @param {port} TCP port to listen on, 0 for any free one.
+   * @return {Promise} which resolves to the net.Server once listening.
+   */
+  listen(port) {
+    return new Promise((resolve) => {
+      const server = net.createServer((socket) => {
+        const forward = (data) => socket.write(data);
+        this.on('data', forward);
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.removeListener('data', forward));
+        socket.on('error', () => socket.destroy());
+      });
+      server.listen(port, '127.0.0.1', () => resolve(server));
+    });
+  }
+}
+
+/**
+ * A port to a VirtualBoard, with the SerialPort interface.
+ */
+class VirtualPort extends EventEmitter {
+  constructor(board, path) {
+    super();
+    this.board = board;
+    this.path = path || 'virtual';
+    this.isOpen = false;
+    this.forward = (data) => {
+      if (this.isOpen) {
+        setImmediate(() => this.emit('data', data));
+      }
+    };
+    board.on('data', this.forward);
+    setImmediate(() => {
+      this.isOpen = true;
+      this.emit('open');
+    });
+  }
+
+  write(data, callback) {
+    setImmediate(() => {
+      this.board.receive(data);
+      if (callback) {
+        callback();
+      }
+    });
+  }
+
+  drain(callback) {
+    setImmediate(callback);
+  }
+
+  close(callback) {
+    this.shutDown();
+    if (callback) {
+      callback();
+    }
+  }
+
+  /**
+   * Simulate the board being unplugged.
+   */
+  unplug() {
+    const err = new Error('Disconnected');
+    err.disconnected = true;
+    this.shutDown(err);
+  }
+
+  shutDown(err) {
+    if (this.isOpen) {
+      this.isOpen = false;
+      this.board.removeListener('data', this.forward);
+      setImmediate(() => this.emit('close', err));
+    }
+  }
+}
+
+/**
+ * Stands in for the gateway add-on manager, and emits an event for every
+ * notification it gets from the adapter.
+ */
+class FakeAddonManager extends EventEmitter {
+  constructor(userProfile) {
+    super();
+    this.adapters = [];
+    this.devices = new Map();
+    this.userProfile = userProfile || {};
+  }
+
+  getGatewayVersion() {
+    return GATEWAY_VERSION;
+  }
+
+  getUserProfile() {
+    return this.userProfile;
+  }
+
+  getPreferences() {
+    return {
+      language: 'en-US',
+      units: {temperature: 'degree celsius'},
+    };
+  }
+
+  addAdapter(adapter) {
+    this.adapters.push(adapter);
+  }
+
+  handleDeviceAdded(device) {
+    this.devices.set(device.id, device);
+    this.emit('deviceAdded', device);
+  }
+
+  handleDeviceRemoved(device) {
+    this.devices.delete(device.id);
+    this.emit('deviceRemoved', device);
+  }
+
+  sendPropertyChangedNotification(property) {
+    this.emit('propertyChanged', property);
+  }
+
+  sendEventNotification(event) {
+    this.emit('event', event);
+  }
+
+  sendActionStatusNotification(action) {
+    this.emit('actionStatus', action);
+  }
+
+  sendConnectedNotification(device, connected) {
+    this.emit('connected', device, connected);
+  }
+
+  sendPairingPrompt(adapter, prompt, url, device) {
+    this.emit('pairingPrompt', prompt, url, device);
+  }
+
+  sendUnpairingPrompt(adapter, prompt, url, device) {
+    this.emit('unpairingPrompt', prompt, url, device);
+  }
+}
+
+module.exports = {
+  VirtualBoard,
+  VirtualPort,
+  FakeAddonManager,
+};
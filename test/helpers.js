@@ -0,0 +1,166 @@
+/**
+ * helpers.js - Shared setup for the adapter tests.
+ *
+ * Settings reach the adapter the way the gateway hands them over, through a
+ * config database, which lives in a temporary directory along with the data
+ * directory of each adapter the tests load.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'microblocks-test-'));
+// gateway-addon looks for the config database here, so it has to be set
+// before the adapter is loaded
+process.env.WEBTHINGS_DATABASE = path.join(TEST_DIR, 'db.sqlite3');
+
+const sqlite3 = require('sqlite3');
+const manifest = require('../manifest.json');
+const loadMicroBlocksAdapter = require('../microblocks-adapter');
+const {FakeAddonManager, VirtualPort} = require('./emulator');
+
+// Paths of the ports tests plug virtual boards into. Only these are allowed,
+// so real boards around are left alone.
+const VIRTUAL_PORTS = ['/dev/ttyVIRTUAL0', '/dev/ttyVIRTUAL1'];
+
+// Settings for the tests, on top of the defaults in the manifest
+const TEST_CONFIG = {
+  allowPorts: VIRTUAL_PORTS,
+  probeTimeout: 500,
+  requestTimeout: 200,
+  pollInterval: 100,
+  logLevel: 'error',
+};
+
+function removeDir(dir) {
+  fs.readdirSync(dir).forEach(function(name) {
+    const entry = path.join(dir, name);
+    if (fs.lstatSync(entry).isDirectory()) {
+      removeDir(entry);
+    } else {
+      fs.unlinkSync(entry);
+    }
+  });
+  fs.rmdirSync(dir);
+}
+
+process.on('exit', () => removeDir(TEST_DIR));
+
+/**
+ * Store the adapter settings in the config database.
+ *
+ * @param {config} settings that differ from the test ones.
+ * @return {Promise} which resolves once they're stored.
+ */
+function saveConfig(config) {
+  const settings =
+    Object.assign({}, manifest.options.default, TEST_CONFIG, config);
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(process.env.WEBTHINGS_DATABASE);
+    db.serialize(() => {
+      db.run('CREATE TABLE IF NOT EXISTS settings ' +
+             '(key TEXT PRIMARY KEY, value TEXT)');
+      db.run(
+        'INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)',
+        [`addons.config.${manifest.id}`, JSON.stringify(settings)]
+      );
+      db.close((err) => (err ? reject(err) : resolve()));
+    });
+  });
+}
+
+/**
+ * Load the adapter, with a FakeAddonManager standing in for the gateway.
+ *
+ * @param {config} settings that differ from the test ones.
+ * @param {dataDir} the gateway data directory, to load an adapter where a
+ *   previous one left off. A new one by default.
+ * @return {Promise} which resolves to {manager, adapter, dataDir} once the
+ *   adapter is ready.
+ */
+function startAdapter(config, dataDir) {
+  const dir = dataDir || fs.mkdtempSync(path.join(TEST_DIR, 'data-'));
+  return saveConfig(config || {}).then(() => {
+    const manager = new FakeAddonManager({dataDir: dir});
+    loadMicroBlocksAdapter(manager);
+    const adapter = manager.adapters[0];
+    return adapter.ready.then(() => ({manager, adapter, dataDir: dir}));
+  });
+}
+
+/**
+ * Plug a virtual board into the adapter, as if it showed up in a port scan.
+ *
+ * @param {adapter} the MicroBlocksAdapter.
+ * @param {board} the VirtualBoard.
+ * @param {portInfo} what SerialPort.list() says about the port. The first
+ *   virtual port, with a USB serial number of its own, by default.
+ * @return {VirtualPort} the port.
+ */
+function plug(adapter, board, portInfo) {
+  const info = Object.assign({
+    path: VIRTUAL_PORTS[0],
+    vendorId: '2e8a',
+    productId: '000a',
+    serialNumber: 'E66038B713',
+  }, portInfo);
+  const port = new VirtualPort(board, info.path);
+  adapter.attachPort(port, info);
+  return port;
+}
+
+/**
+ * Wait for an event.
+ *
+ * @param {emitter} what emits it.
+ * @param {eventName} name of the event.
+ * @param {predicate} tells whether the event arguments are the ones we're
+ *   waiting for. Any event will do by default.
+ * @return {Promise} which resolves to the first argument of the event.
+ */
+function waitFor(emitter, eventName, predicate) {
+  return new Promise((resolve) => {
+    const listener = (...args) => {
+      if (!predicate || predicate(...args)) {
+        emitter.removeListener(eventName, listener);
+        resolve(args[0]);
+      }
+    };
+    emitter.on(eventName, listener);
+  });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for a condition to hold, checking every few milliseconds.
+ *
+ * @param {condition} function telling whether it holds.
+ * @return {Promise} which resolves once it does.
+ */
+function until(condition) {
+  if (condition()) {
+    return Promise.resolve();
+  }
+  return delay(10).then(() => until(condition));
+}
+
+module.exports = {
+  VIRTUAL_PORTS,
+  TEST_DIR,
+  saveConfig,
+  startAdapter,
+  plug,
+  waitFor,
+  delay,
+  until,
+};
@@ -0,0 +1,220 @@
+/**
+ * network.test.js - Boards on the network.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const {startAdapter, waitFor, delay, until} = require('./helpers');
+const {VirtualBoard} = require('./emulator');
+const {TcpPort, parseNetworkBoard} = require('../ports');
+const {MicroBlocksTransport} = require('../transport');
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+describe('TcpPort', function() {
+  let server;
+  let sockets;
+  let port;
+
+  beforeEach(function() {
+    sockets = [];
+    server = net.createServer((socket) => sockets.push(socket));
+    return listen(server).then((tcpPort) => {
+      port = new TcpPort('127.0.0.1', tcpPort);
+      // the server resets connections as tests end, which ports report as
+      // errors, thrown unless someone listens
+      port.on('error', () => {});
+      return waitFor(port, 'open');
+    });
+  });
+
+  afterEach(function() {
+    sockets.forEach((socket) => socket.destroy());
+    server.close();
+    port.close();
+  });
+
+  it('carries bytes both ways', function() {
+    const received = waitFor(port, 'data');
+    port.write(Buffer.from([0xFA, 0x05, 0x00]));
+    return until(() => sockets.length > 0).then(() => {
+      const written = waitFor(sockets[0], 'data');
+      sockets[0].write(Buffer.from([0xFA, 0x10, 0x01]));
+      return Promise.all([written, received]);
+    }).then(([written, data]) => {
+      assert.deepStrictEqual([...written], [0xFA, 0x05, 0x00]);
+      assert.deepStrictEqual([...data], [0xFA, 0x10, 0x01]);
+    });
+  });
+
+  it('waits for boards that read slowly', function() {
+    let drained = false;
+    return until(() => sockets.length > 0).then(() => {
+      sockets[0].pause();
+      // more than the socket and the system buffer
+      port.write(Buffer.alloc(8 * 1024 * 1024));
+      port.drain(() => {
+        drained = true;
+      });
+      return delay(100);
+    }).then(() => {
+      assert.ok(!drained);
+      sockets[0].resume();
+      return until(() => drained);
+    });
+  });
+
+  it('fails writes when the connection is lost before draining', function() {
+    const transport = new MicroBlocksTransport(port);
+    let sent;
+    return until(() => sockets.length > 0).then(() => {
+      sockets[0].pause();
+      // more than the socket and the system buffer
+      sent = transport.send(Buffer.alloc(8 * 1024 * 1024));
+      return delay(100);
+    }).then(() => {
+      assert.ok(transport.writing);
+      sockets[0].destroy();
+      return sent;
+    }).then(
+      () => assert.fail('the write went through'),
+      (err) => {
+        assert.strictEqual(err.message, 'Port closed');
+        assert.ok(!transport.writing);
+      }
+    );
+  });
+
+  it('tells a lost connection from closing it', function() {
+    return until(() => sockets.length > 0).then(() => {
+      const lost = waitFor(port, 'close');
+      sockets[0].destroy();
+      return lost;
+    }).then((err) => {
+      assert.ok(err && err.disconnected);
+      assert.ok(!port.isOpen);
+    });
+  });
+
+  it('closes without an error when asked to', function() {
+    const closed = waitFor(port, 'close');
+    port.close();
+    return closed.then((err) => {
+      assert.ok(!err);
+    });
+  });
+});
+
+describe('parseNetworkBoard', function() {
+  it('reads host:port entries', function() {
+    assert.deepStrictEqual(parseNetworkBoard(' 192.168.1.20:2323 '), {
+      path: 'tcp://192.168.1.20:2323',
+      host: '192.168.1.20',
+      port: 2323,
+      network: true,
+    });
+    assert.strictEqual(
+      parseNetworkBoard('tcp://esp32.local:2323').path,
+      'tcp://esp32.local:2323'
+    );
+    assert.strictEqual(parseNetworkBoard('esp32.local'), null);
+  });
+});
+
+describe('MicroBlocksAdapter with network boards', function() {
+  let board;
+  let server;
+  let adapter;
+
+  beforeEach(function() {
+    board = new VirtualBoard({
+      thingDescription: {
+        title: 'Lamp',
+        properties: {on: {type: 'boolean'}},
+      },
+      variables: {on: true},
+    });
+    return board.listen(0).then((listening) => {
+      server = listening;
+    });
+  });
+
+  afterEach(function() {
+    server.close();
+    return adapter.unload();
+  });
+
+  function start() {
+    const entry = `127.0.0.1:${server.address().port}`;
+    return startAdapter({networkBoards: [entry]}).then((started) => {
+      adapter = started.adapter;
+      return started.manager;
+    });
+  }
+
+  it('pairs the boards in the settings', function() {
+    return start().then((manager) => {
+      return waitFor(manager, 'deviceAdded').then((device) => {
+        assert.strictEqual(device.title, 'Lamp');
+        assert.ok(device.serialPort instanceof TcpPort);
+        return waitFor(manager, 'propertyChanged', (property) => {
+          return property.name === 'on';
+        });
+      });
+    }).then((property) => {
+      assert.strictEqual(property.value, true);
+      return property.setValue(false);
+    }).then(() => delay(50)).then(() => {
+      assert.strictEqual(board.getVariable('on'), false);
+    });
+  });
+
+  it('picks boards up again when they come back', function() {
+    const sockets = [];
+    server.on('connection', (socket) => sockets.push(socket));
+    return start().then((manager) => {
+      return waitFor(manager, 'deviceAdded').then((device) => {
+        const disconnected = waitFor(manager, 'connected');
+        sockets.forEach((socket) => socket.destroy());
+        return disconnected.then((connected) => {
+          assert.strictEqual(connected, device);
+          assert.ok(!device.connected);
+          const reconnected = waitFor(manager, 'connected');
+          adapter.scanPorts();
+          return reconnected;
+        }).then(() => {
+          assert.ok(device.connected);
+          assert.strictEqual(manager.devices.size, 1);
+        });
+      });
+    });
+  });
+
+  it('keeps trying boards that are off', function() {
+    const entry = `127.0.0.1:${server.address().port}`;
+    server.close();
+    return startAdapter({networkBoards: [entry]}).then((started) => {
+      adapter = started.adapter;
+      return adapter.scanPorts();
+    }).then((probing) => {
+      assert.strictEqual(probing, 1);
+      return until(() => !adapter.ports.has(`tcp://${entry}`));
+    }).then(() => {
+      assert.ok(!adapter.probedPorts.has(`tcp://${entry}`));
+      // it's probed again on the next scan
+      return adapter.scanPorts();
+    }).then((probing) => {
+      assert.strictEqual(probing, 1);
+    });
+  });
+});
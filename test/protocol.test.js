@@ -0,0 +1,354 @@
+/**
+ * protocol.test.js - Encoding and decoding MicroBlocks messages.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('assert');
+const protocol = require('../protocol');
+
+const {OpCodes, VarTypes} = protocol;
+
+function variableValues(count) {
+  const bytes = [];
+  for (let varID = 0; varID < count; varID++) {
+    bytes.push(...protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      varID,
+      protocol.packValue(varID * 10, VarTypes.int)
+    ));
+  }
+  return bytes;
+}
+
+/**
+ * Decode the bytes of a single message.
+ */
+function decodeOne(bytes) {
+  const decoder = new protocol.Decoder();
+  const messages = decoder.push(bytes);
+  assert.strictEqual(messages.length, 1);
+  assert.strictEqual(decoder.droppedBytes, 0);
+  return messages[0];
+}
+
+describe('encodeMessage and decodeMessage', function() {
+  it('encodes messages without data as short messages', function() {
+    const bytes = protocol.encodeMessage({opName: 'taskDone', objectID: 7});
+    assert.deepStrictEqual(bytes, [0xFA, OpCodes.taskDone, 7]);
+    const message = decodeOne(bytes);
+    assert.strictEqual(message.opName, 'taskDone');
+    assert.strictEqual(message.chunkID, 7);
+    assert.strictEqual(message.long, false);
+  });
+
+  it('encodes messages with data as long messages', function() {
+    const bytes = protocol.encodeMessage({
+      opCode: OpCodes.chunkAttribute,
+      objectID: 3,
+      data: [1, 2, 3],
+    });
+    // the size counts the terminator
+    assert.deepStrictEqual(
+      bytes,
+      [0xFB, OpCodes.chunkAttribute, 3, 4, 0, 1, 2, 3, 0xFE]
+    );
+    const message = decodeOne(bytes);
+    assert.strictEqual(message.chunkID, 3);
+    assert.strictEqual(message.attributeID, 1);
+    assert.deepStrictEqual(message.data, [2, 3]);
+    assert.strictEqual(message.long, true);
+  });
+
+  it('refuses unknown messages', function() {
+    assert.throws(() => protocol.encodeMessage({opName: 'dance'}), /dance/);
+  });
+
+  it('decodes the requests the adapter sends', function() {
+    assert.deepStrictEqual(
+      [
+        protocol.getVarValueMessage(4),
+        protocol.getNamedVarValueMessage('_thing description'),
+        protocol.setVarValueMessage(2, -5, VarTypes.int),
+        protocol.getVarNamesMessage(),
+        protocol.broadcastMessage('blink'),
+        protocol.startAllMessage(),
+        protocol.stopAllMessage(),
+        protocol.systemResetMessage(),
+      ].map(decodeOne).map(function(message) {
+        // what's left past the header
+        const fields = Object.assign({}, message);
+        delete fields.opCode;
+        delete fields.objectID;
+        delete fields.long;
+        return fields;
+      }),
+      [
+        {opName: 'getVarValue', varID: 4},
+        {opName: 'getVarValue', varName: '_thing description'},
+        {opName: 'setVarValue', varID: 2, type: VarTypes.int, value: -5},
+        {opName: 'getVarNames'},
+        {opName: 'broadcast', message: 'blink'},
+        {opName: 'startAll'},
+        {opName: 'stopAll'},
+        {opName: 'systemReset'},
+      ]
+    );
+  });
+
+  it('decodes variable names and values', function() {
+    const name = decodeOne(protocol.encodeLongMessage(
+      OpCodes.variableName,
+      3,
+      protocol.packString('level')
+    ));
+    assert.strictEqual(name.varID, 3);
+    assert.strictEqual(name.name, 'level');
+    [
+      [protocol.MAX_INT, VarTypes.int],
+      [protocol.MIN_INT, VarTypes.int],
+      [true, VarTypes.boolean],
+      [false, VarTypes.boolean],
+      ['on', VarTypes.string],
+    ].forEach(function([value, type]) {
+      const message = decodeOne(protocol.encodeLongMessage(
+        OpCodes.variableValue,
+        protocol.NAMED_VAR_ID,
+        protocol.packValue(value, type)
+      ));
+      assert.strictEqual(message.varID, protocol.NAMED_VAR_ID);
+      assert.strictEqual(message.type, type);
+      assert.strictEqual(message.value, value);
+    });
+  });
+
+  it('refuses integers boards cannot hold', function() {
+    assert.throws(
+      () => protocol.packValue(protocol.MAX_INT + 1, VarTypes.int),
+      RangeError
+    );
+    assert.throws(() => protocol.packValue(1.5, VarTypes.int), RangeError);
+  });
+
+  it('decodes what boards print', function() {
+    const message = decodeOne(protocol.encodeLongMessage(
+      OpCodes.outputValue,
+      9,
+      protocol.packValue(42, VarTypes.int)
+    ));
+    assert.strictEqual(message.opName, 'outputValue');
+    assert.strictEqual(message.chunkID, 9);
+    assert.strictEqual(message.value, 42);
+  });
+
+  it('decodes the errors of scripts', function() {
+    const message = decodeOne(protocol.encodeLongMessage(
+      OpCodes.taskError,
+      5,
+      [31, 0x34, 0x12, 0, 0]
+    ));
+    assert.strictEqual(message.opName, 'taskError');
+    assert.strictEqual(message.chunkID, 5);
+    assert.strictEqual(message.errorCode, 31);
+    assert.strictEqual(message.errorName, 'zeroDivide');
+    assert.strictEqual(message.ip, 0x1234);
+    const unknown = decodeOne(protocol.encodeLongMessage(
+      OpCodes.taskError,
+      5,
+      [99]
+    ));
+    assert.strictEqual(unknown.errorName, 'error 99');
+    assert.ok(!('ip' in unknown));
+  });
+});
+
+describe('strings and byte arrays', function() {
+  const TEXT = 'Température du séjour 🌡️ ☕';
+
+  it('packs strings in UTF-8', function() {
+    assert.deepStrictEqual(protocol.packString('é☕'), [
+      0xC3, 0xA9,
+      0xE2, 0x98, 0x95,
+    ]);
+    assert.strictEqual(
+      protocol.unpackString(protocol.packString(TEXT)),
+      TEXT
+    );
+  });
+
+  it('keeps text whole through broadcasts', function() {
+    // the adapter sends a typed string, boards send the bare text
+    [
+      protocol.broadcastMessage(TEXT),
+      protocol.encodeLongMessage(
+        OpCodes.broadcast,
+        0,
+        protocol.packString(TEXT)
+      ),
+    ].forEach(function(bytes) {
+      assert.strictEqual(decodeOne(bytes).message, TEXT);
+    });
+  });
+
+  it('keeps text whole through string values', function() {
+    const written = decodeOne(protocol.setVarValueMessage(
+      1,
+      TEXT,
+      VarTypes.string
+    ));
+    assert.strictEqual(written.value, TEXT);
+    const read = decodeOne(protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      1,
+      protocol.packValue(TEXT, VarTypes.string)
+    ));
+    assert.strictEqual(read.type, VarTypes.string);
+    assert.strictEqual(read.value, TEXT);
+  });
+
+  it('packs byte arrays as they are', function() {
+    // including bytes that frame messages
+    const bytes = [0, 0xFA, 0xFB, 0xFE, 255];
+    assert.deepStrictEqual(
+      protocol.packValue(bytes, VarTypes.byteArray),
+      [VarTypes.byteArray].concat(bytes)
+    );
+    assert.deepStrictEqual(
+      protocol.packValue(Buffer.from(bytes), VarTypes.byteArray),
+      [VarTypes.byteArray].concat(bytes)
+    );
+    assert.deepStrictEqual(
+      protocol.unpackValue([VarTypes.byteArray].concat(bytes)),
+      {type: VarTypes.byteArray, value: bytes}
+    );
+    assert.deepStrictEqual(
+      protocol.unpackValue([VarTypes.byteArray]),
+      {type: VarTypes.byteArray, value: []}
+    );
+  });
+
+  it('keeps byte arrays whole through variable values', function() {
+    const bytes = [0xFE, 0, 0xFE, 0xFB, 0x15];
+    const message = decodeOne(protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      2,
+      protocol.packValue(bytes, VarTypes.byteArray)
+    ));
+    assert.strictEqual(message.type, VarTypes.byteArray);
+    assert.deepStrictEqual(message.value, bytes);
+  });
+});
+
+describe('Decoder', function() {
+  it('decodes messages split across pushes', function() {
+    const decoder = new protocol.Decoder();
+    const bytes = variableValues(3);
+    const messages = [];
+    for (let i = 0; i < bytes.length; i += 4) {
+      messages.push(...decoder.push(bytes.slice(i, i + 4)));
+    }
+    assert.deepStrictEqual(
+      messages.map((message) => [message.varID, message.value]),
+      [[0, 0], [1, 10], [2, 20]]
+    );
+    assert.strictEqual(decoder.droppedBytes, 0);
+  });
+
+  it('skips headers announcing more than boards send', function() {
+    const decoder = new protocol.Decoder();
+    const messages = decoder.push(
+      [0xFB, 0x15, 0x00, 0xFF, 0xFF].concat(variableValues(50))
+    );
+    assert.strictEqual(messages.length, 50);
+    assert.strictEqual(decoder.droppedBytes, 5);
+    assert.deepStrictEqual(decoder.oversized, {
+      opCode: OpCodes.variableValue,
+      opName: 'variableValue',
+      objectID: 0,
+      dataSize: 0xFFFF,
+    });
+  });
+
+  it('decodes messages up to the size limit', function() {
+    const decoder = new protocol.Decoder();
+    // the body holds the type, the string and the terminator
+    const longest = 'é'.repeat((decoder.maxDataSize - 2) / 2);
+    const [message] = decoder.push(protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      protocol.NAMED_VAR_ID,
+      protocol.packValue(longest, VarTypes.string)
+    ));
+    assert.strictEqual(message.value, longest);
+    assert.strictEqual(decoder.oversized, null);
+    assert.deepStrictEqual(decoder.push(protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      protocol.NAMED_VAR_ID,
+      protocol.packValue(`${longest}!`, VarTypes.string)
+    )), []);
+    assert.strictEqual(decoder.oversized.dataSize, decoder.maxDataSize + 1);
+  });
+
+  it('drops stray headers once their terminator is missing', function() {
+    const decoder = new protocol.Decoder();
+    // announces 10 bytes, where a message starts instead
+    const stray = [0xFB, 0x15, 0x00, 0x0A, 0x00];
+    const messages = decoder.push(stray.concat(variableValues(50)));
+    assert.strictEqual(messages.length, 50);
+    assert.strictEqual(decoder.droppedBytes, 5);
+  });
+
+  it('gives up on stray headers that stall', function() {
+    const decoder = new protocol.Decoder({stallTimeout: 20});
+    // announces 1000 bytes, which never come
+    const stray = [0xFB, 0x15, 0x00, 0xE8, 0x03];
+    assert.deepStrictEqual(decoder.push(stray.concat(variableValues(50))), []);
+    assert.ok(decoder.stallDelay() > 0);
+    return new Promise((resolve) => setTimeout(resolve, 30)).then(() => {
+      assert.strictEqual(decoder.stallDelay(), 0);
+      assert.strictEqual(decoder.push([]).length, 50);
+      assert.strictEqual(decoder.droppedBytes, 5);
+      assert.strictEqual(decoder.stallDelay(), -1);
+    });
+  });
+
+  it('keeps byte arrays holding messages whole', function() {
+    const decoder = new protocol.Decoder();
+    const inner = protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      2,
+      protocol.packValue(5, VarTypes.int)
+    );
+    const bytes = [1, 2].concat(inner, [3]);
+    const outer = protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      1,
+      protocol.packValue(bytes, VarTypes.byteArray)
+    );
+    // the first push ends after the message inside the byte array
+    const split = 8 + inner.length;
+    assert.deepStrictEqual(decoder.push(outer.slice(0, split)), []);
+    const messages = decoder.push(outer.slice(split));
+    assert.deepStrictEqual(
+      messages.map((message) => [message.varID, message.value]),
+      [[1, bytes]]
+    );
+    assert.strictEqual(decoder.droppedBytes, 0);
+  });
+
+  it('waits for long messages that are still coming', function() {
+    const decoder = new protocol.Decoder();
+    const bytes = protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      1,
+      protocol.packValue('x'.repeat(800), VarTypes.string)
+    );
+    assert.deepStrictEqual(decoder.push(bytes.slice(0, 400)), []);
+    const [message] = decoder.push(bytes.slice(400));
+    assert.strictEqual(message.value, 'x'.repeat(800));
+    assert.strictEqual(decoder.droppedBytes, 0);
+  });
+});
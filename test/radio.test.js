@@ -0,0 +1,165 @@
+/**
+ * radio.test.js - Messages from boards behind a radio bridge.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('assert');
+const {
+  RadioReassembler,
+  parseRadioPacket,
+  splitRadioMessage,
+} = require('../radio');
+const {waitFor} = require('./helpers');
+
+function bytesOf(text) {
+  return [...Buffer.from(text, 'utf8')];
+}
+
+describe('parseRadioPacket', function() {
+  const [packet] = splitRadioMessage(bytesOf('on=1'));
+
+  it('reads the sender and the bytes of a packet', function() {
+    assert.deepStrictEqual(
+      parseRadioPacket(`moz-packet42:${packet.join(',')}`),
+      {senderID: '42', packet}
+    );
+  });
+
+  it('turns down packets that are not 32 bytes', function() {
+    [
+      packet.slice(1),
+      packet.concat(0),
+      packet.slice(0, 31).concat(256),
+      packet.slice(0, 31).concat(-1),
+      packet.slice(0, 31).concat(1.5),
+      packet.slice(0, 31).concat('x'),
+      packet.slice(0, 31).concat(''),
+    ].forEach(function(bytes) {
+      const message = `moz-packet42:${bytes.join(',')}`;
+      assert.strictEqual(parseRadioPacket(message), null, message);
+    });
+    assert.strictEqual(parseRadioPacket('moz-packet42'), null);
+  });
+});
+
+describe('RadioReassembler', function() {
+  let reassembler;
+  let messages;
+  let resends;
+
+  beforeEach(function() {
+    reassembler = new RadioReassembler({resendDelay: 20, sweepInterval: 10});
+    messages = [];
+    resends = [];
+    reassembler.on('message', (senderID, bytes) => {
+      messages.push([senderID, Buffer.from(bytes).toString('utf8')]);
+    });
+    reassembler.on('resend', (senderID, crc, indices) => {
+      resends.push([senderID, indices]);
+    });
+  });
+
+  afterEach(function() {
+    reassembler.stop();
+  });
+
+  const TEXT = 'temperature=23 humidity=40 pressure=1013 wind=12';
+
+  it('puts messages back together out of order', function() {
+    const packets = splitRadioMessage(bytesOf(TEXT));
+    assert.strictEqual(packets.length, 2);
+    reassembler.push('7', packets[1]);
+    assert.deepStrictEqual(messages, []);
+    reassembler.push('7', packets[0]);
+    assert.deepStrictEqual(messages, [['7', TEXT]]);
+    assert.strictEqual(reassembler.sessions.size, 0);
+    assert.strictEqual(reassembler.sweeper, null);
+  });
+
+  it('takes duplicate packets once', function() {
+    const packets = splitRadioMessage(bytesOf(TEXT));
+    reassembler.push('7', packets[0]);
+    reassembler.push('7', packets[0]);
+    reassembler.push('7', packets[1]);
+    reassembler.push('7', packets[1]);
+    assert.deepStrictEqual(messages, [['7', TEXT]]);
+  });
+
+  it('keeps apart the messages of different boards', function() {
+    const first = splitRadioMessage(bytesOf(TEXT));
+    const second = splitRadioMessage(bytesOf(`${TEXT}!`));
+    reassembler.push('7', first[0]);
+    reassembler.push('8', second[0]);
+    reassembler.push('8', second[1]);
+    reassembler.push('7', first[1]);
+    assert.deepStrictEqual(messages, [['8', `${TEXT}!`], ['7', TEXT]]);
+  });
+
+  it('keeps the zero bytes of messages', function() {
+    const bytes = [];
+    reassembler.on('message', (senderID, message) => bytes.push(message));
+    [
+      [1, 0, 2],
+      [1, 2, 0, 0],
+      new Array(28).fill(0),
+    ].forEach(function(message) {
+      splitRadioMessage(message).forEach((packet) => {
+        reassembler.push('7', packet);
+      });
+    });
+    assert.deepStrictEqual(bytes, [
+      [1, 0, 2],
+      [1, 2, 0, 0],
+      new Array(28).fill(0),
+    ]);
+    assert.deepStrictEqual(resends, []);
+  });
+
+  it('ignores malformed packets', function() {
+    reassembler.push('9', [31, NaN, 2, 5]);
+    reassembler.push('9', [31, 1, 2, 5].concat(new Array(27).fill(0)));
+    const [packet] = splitRadioMessage(bytesOf(TEXT));
+    reassembler.push('9', packet.slice(0, 31).concat(300));
+    assert.strictEqual(reassembler.sessions.size, 0);
+    assert.strictEqual(reassembler.sweeper, null);
+  });
+
+  it('asks for the packets that are missing', function() {
+    const packets = splitRadioMessage(bytesOf(TEXT + TEXT));
+    assert.strictEqual(packets.length, 4);
+    reassembler.push('7', packets[0]);
+    reassembler.push('7', packets[2]);
+    return waitFor(reassembler, 'resend').then(() => {
+      assert.deepStrictEqual(resends, [['7', [2, 4]]]);
+      reassembler.push('7', packets[3]);
+      reassembler.push('7', packets[1]);
+      assert.deepStrictEqual(messages, [['7', TEXT + TEXT]]);
+    });
+  });
+
+  it('asks for whole messages that arrive corrupt', function() {
+    const [packet] = splitRadioMessage(bytesOf('on=1'));
+    packet[5] = 'x'.charCodeAt(0);
+    reassembler.push('7', packet);
+    assert.deepStrictEqual(messages, []);
+    assert.deepStrictEqual(resends, [['7', []]]);
+  });
+
+  it('gives up on messages after asking for them a few times', function() {
+    const packets = splitRadioMessage(bytesOf(TEXT));
+    reassembler.push('7', packets[0]);
+    return waitFor(reassembler, 'expire').then((senderID) => {
+      assert.strictEqual(senderID, '7');
+      assert.deepStrictEqual(resends, [['7', [2]], ['7', [2]], ['7', [2]]]);
+      assert.strictEqual(reassembler.sessions.size, 0);
+      // the late packet alone doesn't make a message
+      reassembler.push('7', packets[1]);
+      assert.deepStrictEqual(messages, []);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * replay.test.js - Protocol traces, captured sessions and their replay.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const manifest = require('../manifest.json');
+const protocol = require('../protocol');
+const {
+  ReplayPort,
+  describeMessage,
+  hexdump,
+  readCapture,
+} = require('../trace');
+const {
+  VIRTUAL_PORTS,
+  startAdapter,
+  plug,
+  waitFor,
+  delay,
+  until,
+} = require('./helpers');
+const {VirtualBoard} = require('./emulator');
+
+const {OpCodes, VarTypes} = protocol;
+
+describe('hexdump', function() {
+  it('lays bytes out with their printable characters', function() {
+    const bytes = protocol.packString('temperature=23.5!');
+    assert.strictEqual(
+      hexdump(bytes),
+      '0000  74 65 6d 70 65 72 61 74 75 72 65 3d 32 33 2e 35  ' +
+        '|temperature=23.5|\n' +
+      '0010  21                                               |!|'
+    );
+  });
+});
+
+describe('describeMessage', function() {
+  it('gives the direction, opcode, object ID and typed payload', function() {
+    const decoder = new protocol.Decoder({keepFrames: true});
+    const [message] = decoder.push(protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      3,
+      protocol.packValue(-5, VarTypes.int)
+    ));
+    assert.strictEqual(
+      describeMessage('in', message),
+      '<- variableValue 3 int -5'
+    );
+  });
+});
+
+describe('Captured sessions', function() {
+  let capture;
+
+  /**
+   * Record a session with a lamp: pairing, polling, a write and an event.
+   */
+  before(function() {
+    const board = new VirtualBoard({
+      thingDescription: {
+        title: 'Lamp',
+        properties: {
+          on: {type: 'boolean'},
+          level: {type: 'integer'},
+        },
+        events: {button: {type: 'integer'}},
+      },
+      variables: {on: false, level: 3},
+    });
+    return startAdapter({
+      tracePorts: [VIRTUAL_PORTS[0]],
+      captureTraffic: true,
+      pollInterval: 0,
+    }).then(({manager, adapter, dataDir}) => {
+      const added = waitFor(manager, 'deviceAdded');
+      plug(adapter, board);
+      return added.then((device) => {
+        return until(() => device.properties.get('level').value === 3)
+          .then(() => device.properties.get('on').setValue(true));
+      }).then(() => {
+        board.broadcast('button:2');
+        return waitFor(manager, 'event');
+      }).then(() => adapter.unload()).then(() => {
+        const captureDir = path.join(dataDir, manifest.id, 'captures');
+        const files = fs.readdirSync(captureDir);
+        assert.strictEqual(files.length, 1);
+        // the file is closed along with the port
+        return delay(100).then(() => {
+          return readCapture(path.join(captureDir, files[0]));
+        });
+      });
+    }).then((recorded) => {
+      capture = recorded;
+    });
+  });
+
+  it('are recorded for traced ports', function() {
+    assert.strictEqual(capture.header.path, VIRTUAL_PORTS[0]);
+    assert.strictEqual(capture.header.portInfo.serialNumber, 'E66038B713');
+    const directions = new Set(capture.records.map((record) => record.dir));
+    assert.deepStrictEqual([...directions].sort(), ['in', 'out']);
+    capture.records.forEach((record) => {
+      assert.ok(Buffer.isBuffer(record.data));
+      assert.strictEqual(typeof record.t, 'number');
+    });
+  });
+
+  it('play back into the adapter without the board', function() {
+    return startAdapter().then(({manager, adapter}) => {
+      const things = [];
+      const events = [];
+      manager.on('deviceAdded', (device) => things.push(device));
+      manager.on('event', (event) => events.push(event));
+      const port = new ReplayPort(capture, {speed: 2});
+      const writes = [];
+      port.on('write', (data) => writes.push(data));
+      adapter.attachPort(port, capture.header.portInfo);
+      return waitFor(port, 'end').then(() => delay(100)).then(() => {
+        assert.strictEqual(things.length, 1);
+        assert.strictEqual(things[0].title, 'Lamp');
+        assert.strictEqual(things[0].properties.get('level').value, 3);
+        assert.deepStrictEqual(
+          events.map((event) => [event.name, event.data]),
+          [['button', 2]]
+        );
+        // the adapter talked to the board it thought was there
+        assert.ok(writes.length > 0);
+        return adapter.unload();
+      });
+    });
+  });
+
+  it('play back the same way every time', function() {
+    function replay() {
+      return startAdapter().then(({manager, adapter}) => {
+        const notifications = [];
+        manager.on('deviceAdded', (device) => {
+          notifications.push(`added ${device.id} ${device.title}`);
+        });
+        manager.on('propertyChanged', (property) => {
+          notifications.push(`${property.name} ${property.value}`);
+        });
+        const port = new ReplayPort(capture, {speed: 4});
+        adapter.attachPort(port, capture.header.portInfo);
+        return waitFor(port, 'end').then(() => adapter.unload())
+          .then(() => notifications);
+      });
+    }
+    return replay().then((first) => {
+      assert.ok(first.length > 0);
+      return replay().then((second) => {
+        assert.deepStrictEqual(second, first);
+      });
+    });
+  });
+});
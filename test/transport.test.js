@@ -0,0 +1,149 @@
+/**
+ * transport.test.js - Requests to boards and their replies.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const protocol = require('../protocol');
+const {MicroBlocksTransport, TimeoutError} = require('../transport');
+const {delay} = require('./helpers');
+
+const {OpCodes, VarTypes} = protocol;
+
+/**
+ * A port that takes its time to write, and records what's written to it.
+ */
+class SlowPort extends EventEmitter {
+  constructor(writeTime) {
+    super();
+    this.writeTime = writeTime;
+    this.written = [];
+  }
+
+  write(data, callback) {
+    setTimeout(() => {
+      this.written.push([...data]);
+      callback();
+    }, this.writeTime);
+  }
+
+  drain(callback) {
+    setImmediate(callback);
+  }
+
+  /**
+   * Answer a getVarValue request, as a board would.
+   */
+  reply(varID, value) {
+    this.emit('data', Buffer.from(protocol.encodeLongMessage(
+      OpCodes.variableValue,
+      varID,
+      protocol.packValue(value, VarTypes.int)
+    )));
+  }
+}
+
+describe('MicroBlocksTransport', function() {
+  let unhandled;
+  const onUnhandled = (reason) => unhandled.push(reason);
+
+  beforeEach(function() {
+    unhandled = [];
+    process.on('unhandledRejection', onUnhandled);
+  });
+
+  afterEach(function() {
+    process.removeListener('unhandledRejection', onUnhandled);
+  });
+
+  it('writes one message at a time, in order', function() {
+    const port = new SlowPort(20);
+    const transport = new MicroBlocksTransport(port);
+    return Promise.all([
+      transport.send([1, 2]),
+      transport.send([3]),
+      transport.send([4, 5, 6]),
+    ]).then(() => {
+      assert.deepStrictEqual(port.written, [[1, 2], [3], [4, 5, 6]]);
+    });
+  });
+
+  it('matches replies to the variables they are about', function() {
+    const port = new SlowPort(0);
+    const transport = new MicroBlocksTransport(port);
+    const first = transport.getVariable(1);
+    const second = transport.getVariable(2);
+    setTimeout(() => {
+      port.reply(2, 20);
+      port.reply(1, 10);
+    }, 20);
+    return Promise.all([first, second]).then(([one, two]) => {
+      assert.strictEqual(one.value, 10);
+      assert.strictEqual(two.value, 20);
+    });
+  });
+
+  it('asks again when the board does not answer', function() {
+    const port = new SlowPort(0);
+    const transport = new MicroBlocksTransport(port, {timeout: 50});
+    let asked = 0;
+    const write = port.write.bind(port);
+    port.write = (data, callback) => {
+      asked++;
+      if (asked === 2) {
+        setTimeout(() => port.reply(4, 42), 10);
+      }
+      write(data, callback);
+    };
+    return transport.getVariable(4, {retries: 2}).then((reply) => {
+      assert.strictEqual(reply.value, 42);
+      assert.strictEqual(asked, 2);
+    });
+  });
+
+  it('times out requests still being written', function() {
+    const port = new SlowPort(300);
+    const transport = new MicroBlocksTransport(port);
+    return transport.getVariable(0, {timeout: 100, retries: 0}).then(
+      () => assert.fail('got a reply'),
+      (err) => assert.ok(err instanceof TimeoutError, err)
+    ).then(() => delay(10)).then(() => {
+      assert.deepStrictEqual(unhandled, []);
+    });
+  });
+
+  it('reads replies held up by a stray header once it stalls', function() {
+    const port = new SlowPort(0);
+    const transport = new MicroBlocksTransport(port);
+    transport.decoder.stallTimeout = 50;
+    const request = transport.getVariable(3, {timeout: 500, retries: 0});
+    setTimeout(() => {
+      // announces 1000 bytes, which never come
+      port.emit('data', Buffer.from([0xFB, 0x15, 0x00, 0xE8, 0x03]));
+      port.reply(3, 30);
+    }, 10);
+    return request.then((reply) => {
+      assert.strictEqual(reply.value, 30);
+      assert.strictEqual(transport.decoder.droppedBytes, 5);
+    });
+  });
+
+  it('fails pending requests when the port closes', function() {
+    const port = new SlowPort(100);
+    const transport = new MicroBlocksTransport(port);
+    const request = transport.getVariable(0, {timeout: 1000});
+    setTimeout(() => port.emit('close'), 20);
+    return request.then(
+      () => assert.fail('got a reply'),
+      (err) => assert.strictEqual(err.message, 'Port closed')
+    ).then(() => delay(10)).then(() => {
+      assert.deepStrictEqual(unhandled, []);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * replay.js - Play a captured session back into the adapter, without the
+ * board.
+ *
+ * Loads the adapter with a FakeAddonManager, feeds it what the board sent
+ * during the capture, traced at the info level, and prints everything the
+ * adapter tells the gateway, one line each. Comparing that output across
+ * versions of the adapter turns a capture into a regression test.
+ *
+ * Usage: node tools/replay.js <capture file> [speed]
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const loadMicroBlocksAdapter = require('../microblocks-adapter');
+const {FakeAddonManager} = require('../test/emulator');
+const {ReplayPort, readCapture} = require('../trace');
+
+// How long we wait after the end of the capture for the adapter to settle
+// down, in milliseconds
+const SETTLE_TIME = 1000;
+
+function report(...args) {
+  console.log('>>', ...args);
+}
+
+function watch(manager) {
+  manager.on('deviceAdded', (device) => {
+    report('thing added', device.id, JSON.stringify(device.title));
+  });
+  manager.on('deviceRemoved', (device) => {
+    report('thing removed', device.id);
+  });
+  manager.on('connected', (device, connected) => {
+    report('thing', device.id, connected ? 'connected' : 'disconnected');
+  });
+  manager.on('propertyChanged', (property) => {
+    report('property', property.name, JSON.stringify(property.value));
+  });
+  manager.on('event', (event) => {
+    report('event', event.name, JSON.stringify(event.data));
+  });
+  manager.on('actionStatus', (action) => {
+    report('action', action.name, action.status);
+  });
+  manager.on('pairingPrompt', (prompt) => {
+    report('pairing prompt', JSON.stringify(prompt));
+  });
+}
+
+const file = process.argv[2];
+const speed = parseFloat(process.argv[3]) || 1;
+if (!file) {
+  console.error('Usage: node tools/replay.js <capture file> [speed]');
+  process.exit(1);
+}
+
+readCapture(file).then((capture) => {
+  const manager = new FakeAddonManager();
+  watch(manager);
+  loadMicroBlocksAdapter(manager);
+  const adapter = manager.adapters[0];
+  // leave whatever boards are around alone
+  adapter.listPorts = () => Promise.resolve(0);
+  return adapter.ready.then(() => {
+    adapter.applyConfig(Object.assign({}, adapter.config, {
+      tracePorts: [capture.header.path],
+      captureTraffic: false,
+    }));
+    const port = new ReplayPort(capture, {speed});
+    port.on('end', () => {
+      setTimeout(() => {
+        adapter.unload().then(() => process.exit(0));
+      }, SETTLE_TIME);
+    });
+    adapter.attachPort(port, capture.header.portInfo);
+  });
+}).catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
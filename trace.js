@@ -0,0 +1,353 @@
+/**
+ * trace.js - Protocol traces, captures and their replay.
+ *
+ * A PortTracer logs every message going through a port, in both directions,
+ * with its payload and a hexdump, and can record the traffic to a capture
+ * file. Capture files hold one JSON object per line: a header, with the port
+ * path and info, followed by one record per chunk of bytes, with the time in
+ * milliseconds since the capture started, the direction ("in" from the board,
+ * "out" to it) and the bytes in hexadecimal.
+ *
+ * A ReplayPort plays the incoming side of a capture back, with the SerialPort
+ * interface, so a session can be fed to the adapter without the board.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+const protocol = require('./protocol');
+
+const {VarTypeNames} = protocol;
+
+const CAPTURE_VERSION = 1;
+
+// How many bytes each hexdump line shows
+const HEXDUMP_WIDTH = 16;
+
+// How long a replay waits for the adapter to write what it wrote during the
+// capture before playing the board answer anyway, in milliseconds
+const REPLAY_STALL_TIME = 2000;
+
+/**
+ * Lay bytes out in lines of hexadecimal and printable characters.
+ *
+ * @param {bytes} Array or Buffer of bytes.
+ * @return {string} the hexdump, one line per 16 bytes.
+ */
+function hexdump(bytes) {
+  const lines = [];
+  for (let offset = 0; offset < bytes.length; offset += HEXDUMP_WIDTH) {
+    const line = Array.from(bytes.slice(offset, offset + HEXDUMP_WIDTH));
+    const hex = line.map(function(byte) {
+      return byte.toString(16).padStart(2, '0');
+    }).join(' ');
+    const text = line.map(function(byte) {
+      return byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.';
+    }).join('');
+    lines.push(
+      `${offset.toString(16).padStart(4, '0')}  ` +
+      `${hex.padEnd((HEXDUMP_WIDTH * 3) - 1)}  |${text}|`
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Describe the payload of a decoded message, according to its opCode.
+ *
+ * @param {message} structured message, as returned by the protocol decoder.
+ * @return {string} the payload, or an empty string if there's none.
+ */
+function describePayload(message) {
+  if ('value' in message) {
+    const typeName = VarTypeNames[message.type] || 'raw';
+    return `${typeName} ${JSON.stringify(message.value)}`;
+  } else if ('message' in message) {
+    return JSON.stringify(message.message);
+  } else if ('name' in message) {
+    return JSON.stringify(message.name);
+  } else if ('varName' in message) {
+    return JSON.stringify(message.varName);
+  } else if ('errorName' in message) {
+    return message.errorName;
+  } else if (message.long) {
+    return `${message.frame.length - 6} bytes`;
+  }
+  return '';
+}
+
+/**
+ * Describe a decoded message in one line.
+ *
+ * @param {direction} "in" for messages from the board, "out" for messages to
+ *   it.
+ * @param {message} structured message, as returned by a protocol decoder
+ *   that keeps frames.
+ * @return {string}
+ */
+function describeMessage(direction, message) {
+  const arrow = direction === 'in' ? '<-' : '->';
+  return [arrow, message.opName, message.objectID, describePayload(message)]
+    .join(' ').trim();
+}
+
+/**
+ * Turn a port path into something that can go in a file name.
+ */
+function captureName(portPath) {
+  const date = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${portPath.replace(/[^A-Za-z0-9]+/g, '_')}-${date}.jsonl`;
+}
+
+class PortTracer {
+  /**
+   * @param {portInfo} info of the traced port, as given to openPort.
+   * @param {options} {level, captureDir}, where level is the log level
+   *   messages are logged at, and captureDir is the directory to record the
+   *   traffic in, or null to not record it.
+   */
+  constructor(portInfo, options) {
+    this.path = portInfo.path;
+    this.level = options.level;
+    this.decoders = {
+      in: new protocol.Decoder({keepFrames: true}),
+      out: new protocol.Decoder({keepFrames: true}),
+    };
+    this.started = Date.now();
+    this.capture = null;
+    this.captureFile = null;
+    if (options.captureDir) {
+      this.startCapture(portInfo, options.captureDir);
+    }
+  }
+
+  /**
+   * Open a new capture file and write its header.
+   */
+  startCapture(portInfo, captureDir) {
+    this.captureFile = path.join(captureDir, captureName(this.path));
+    // records written before the file is open wait here
+    this.capture = [];
+    this.record({
+      capture: CAPTURE_VERSION,
+      path: this.path,
+      portInfo,
+      date: new Date(this.started).toISOString(),
+    });
+    fs.mkdir(captureDir, {recursive: true}, (err) => {
+      if (!this.capture) {
+        // closed in the meantime
+        return;
+      } else if (err) {
+        log.warn('Failed to record traffic of', this.path, err.message);
+        this.capture = null;
+        return;
+      }
+      const pending = this.capture;
+      this.capture = fs.createWriteStream(this.captureFile);
+      this.capture.on('error', (err) => {
+        log.warn('Failed to record traffic of', this.path, err.message);
+        this.capture = null;
+      });
+      pending.forEach((line) => this.capture.write(line));
+      log.info('Recording traffic of', this.path, 'to', this.captureFile);
+    });
+  }
+
+  record(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    if (Array.isArray(this.capture)) {
+      this.capture.push(line);
+    } else if (this.capture) {
+      this.capture.write(line);
+    }
+  }
+
+  /**
+   * Trace bytes coming from the board.
+   */
+  received(bytes) {
+    this.trace('in', bytes);
+  }
+
+  /**
+   * Trace bytes going to the board.
+   */
+  sent(bytes) {
+    this.trace('out', bytes);
+  }
+
+  trace(direction, bytes) {
+    this.record({
+      t: Date.now() - this.started,
+      dir: direction,
+      data: Buffer.from(bytes).toString('hex'),
+    });
+    if (!log.isEnabled(this.level)) {
+      return;
+    }
+    this.decoders[direction].push(bytes).forEach((message) => {
+      log[this.level](
+        `[${this.path}]`,
+        `${describeMessage(direction, message)}\n${hexdump(message.frame)}`
+      );
+    });
+  }
+
+  /**
+   * Stop tracing, closing the capture file if there's one.
+   */
+  close() {
+    if (this.capture && !Array.isArray(this.capture)) {
+      this.capture.end();
+    }
+    this.capture = null;
+  }
+}
+
+/**
+ * Read a capture file.
+ *
+ * @param {file} path of the capture file.
+ * @return {Promise} which resolves to {header, records}, where each record
+ *   is {t, dir, data} with data as a Buffer.
+ */
+function readCapture(file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, 'utf8', (err, text) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const lines = text.split('\n').filter(Boolean);
+      const entries = [];
+      for (let i = 0; i < lines.length; i++) {
+        try {
+          entries.push(JSON.parse(lines[i]));
+        } catch (err) {
+          reject(new Error(`Line ${i + 1} of ${file}: ${err.message}`));
+          return;
+        }
+      }
+      const header = entries.shift();
+      if (!header || header.capture !== CAPTURE_VERSION) {
+        reject(new Error(`${file} is not a MicroBlocks capture`));
+        return;
+      }
+      const records = entries.map(function(entry) {
+        return {
+          t: entry.t,
+          dir: entry.dir,
+          data: Buffer.from(entry.data, 'hex'),
+        };
+      });
+      resolve({header, records});
+    });
+  });
+}
+
+/**
+ * A port that plays back what a board sent during a captured session, at
+ * the pace it was sent, with the SerialPort interface. Board answers wait
+ * for the adapter to write as many times as it did before them during the
+ * capture, so they don't come before the requests they answer. What's
+ * written to the port is only emitted as "write" events. Emits "end" once the
+ * whole capture has been played.
+ */
+class ReplayPort extends EventEmitter {
+  /**
+   * @param {capture} {header, records}, as returned by readCapture.
+   * @param {options} {speed}, how many times faster than the original
+   *   session to play it.
+   */
+  constructor(capture, options) {
+    super();
+    this.path = capture.header.path;
+    this.speed = (options && options.speed) || 1;
+    // incoming records, each with how many writes came before it
+    this.records = [];
+    let writes = 0;
+    capture.records.forEach((record) => {
+      if (record.dir === 'in') {
+        this.records.push({t: record.t, data: record.data, after: writes});
+      } else {
+        writes++;
+      }
+    });
+    this.next = 0;
+    this.writes = 0;
+    this.isOpen = false;
+    this.timer = null;
+    setImmediate(() => {
+      this.isOpen = true;
+      this.started = Date.now();
+      this.emit('open');
+      this.schedule();
+    });
+  }
+
+  /**
+   * Plan when to play the next record, once it's due and the adapter has
+   * written what came before it.
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    if (!this.isOpen) {
+      return;
+    } else if (this.next >= this.records.length) {
+      this.emit('end');
+      return;
+    }
+    const record = this.records[this.next];
+    let delay = (record.t / this.speed) - (Date.now() - this.started);
+    if (this.writes < record.after) {
+      delay += REPLAY_STALL_TIME;
+    }
+    this.timer = setTimeout(() => {
+      this.next++;
+      this.emit('data', record.data);
+      this.schedule();
+    }, Math.max(0, delay));
+  }
+
+  write(data, callback) {
+    setImmediate(() => {
+      this.writes++;
+      this.schedule();
+      this.emit('write', data);
+      if (callback) {
+        callback();
+      }
+    });
+  }
+
+  drain(callback) {
+    setImmediate(callback);
+  }
+
+  close(callback) {
+    if (this.isOpen) {
+      this.isOpen = false;
+      clearTimeout(this.timer);
+      setImmediate(() => this.emit('close'));
+    }
+    if (callback) {
+      callback();
+    }
+  }
+}
+
+module.exports = {
+  PortTracer,
+  ReplayPort,
+  hexdump,
+  describeMessage,
+  readCapture,
+};
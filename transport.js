@@ -0,0 +1,324 @@
+/**
+ * transport.js - Request/response layer on top of a MicroBlocks port.
+ *
+ * Serializes writes to the board, waits for each one to drain before sending
+ * the next, and matches board replies to the requests that caused them.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const protocol = require('./protocol');
+
+const {OpCodes} = protocol;
+
+const DEFAULT_TIMEOUT = 1000;
+const DEFAULT_RETRIES = 2;
+
+// After asking for variable names, we consider the list complete when the
+// board has been quiet for this long, in milliseconds
+const VAR_NAMES_QUIET_TIME = 200;
+
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+class MicroBlocksTransport extends EventEmitter {
+  /**
+   * @param {port} an open SerialPort, or any object with the same write,
+   *   drain, close and event interface.
+   * @param {options} {timeout}, the default reply timeout in milliseconds.
+   */
+  constructor(port, options) {
+    super();
+    this.port = port;
+    this.timeout = (options && options.timeout) || DEFAULT_TIMEOUT;
+    this.decoder = new protocol.Decoder();
+    // writes waiting for their turn
+    this.queue = [];
+    this.writing = false;
+    // requests waiting for a reply
+    this.waiters = [];
+    this.closed = false;
+    // pushes nothing to the decoder once the long message it's waiting for
+    // stalls, for the messages behind it
+    this.stallTimer = null;
+
+    port.on('data', (data) => this.receive(data));
+
+    port.on('close', () => {
+      this.closed = true;
+      clearTimeout(this.stallTimer);
+      const error = new Error('Port closed');
+      this.queue.forEach(function(write) {
+        write.reject(error);
+      });
+      this.queue = [];
+      this.waiters.slice().forEach((waiter) => {
+        this.removeWaiter(waiter);
+        waiter.reject(error);
+      });
+    });
+  }
+
+  /**
+   * Queue bytes to be written to the board.
+   *
+   * @param {bytes} array of bytes, as returned by the protocol encoder.
+   * @return {Promise} which resolves when the bytes have been drained.
+   */
+  send(bytes) {
+    return new Promise((resolve, reject) => {
+      if (this.closed) {
+        reject(new Error('Port closed'));
+        return;
+      }
+      this.queue.push({bytes, resolve, reject});
+      this.flush();
+    });
+  }
+
+  /**
+   * Write the next queued message, if we're not busy writing one already.
+   * Emits "sent" with its bytes once it's written.
+   */
+  flush() {
+    if (this.writing || this.queue.length === 0) {
+      return;
+    }
+    const write = this.queue.shift();
+    this.writing = true;
+    const done = (err) => {
+      this.writing = false;
+      if (err) {
+        write.reject(err);
+      } else {
+        write.resolve();
+      }
+      this.flush();
+    };
+    this.port.write(Buffer.from(write.bytes), (err) => {
+      if (err) {
+        done(err);
+      } else {
+        this.emit('sent', write.bytes);
+        this.port.drain(done);
+      }
+    });
+  }
+
+  /**
+   * Wait for a message from the board.
+   *
+   * @param {matcher} function that tells whether a message is the one we
+   *   are waiting for.
+   * @param {timeout} how long to wait, in milliseconds.
+   * @return {Promise} which resolves to the matching message.
+   */
+  expect(matcher, timeout) {
+    return new Promise((resolve, reject) => {
+      const waiter = {matcher, resolve, reject};
+      waiter.timer = setTimeout(() => {
+        this.removeWaiter(waiter);
+        reject(new TimeoutError('Timed out waiting for the board'));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Collect a run of messages from the board, such as the variableName
+   * messages that answer getVarNames.
+   *
+   * @param {matcher} function that tells whether a message belongs to the
+   *   run.
+   * @param {timeout} how long to wait for the first message, in
+   *   milliseconds.
+   * @param {quietTime} how long the board has to be quiet for the run to be
+   *   considered complete, in milliseconds.
+   * @return {Promise} which resolves to the list of messages.
+   */
+  collect(matcher, timeout, quietTime) {
+    return new Promise((resolve, reject) => {
+      const waiter = {matcher, messages: []};
+      waiter.collect = (message) => {
+        waiter.messages.push(message);
+        clearTimeout(waiter.timer);
+        waiter.timer = setTimeout(() => {
+          this.removeWaiter(waiter);
+          resolve(waiter.messages);
+        }, quietTime);
+      };
+      waiter.reject = reject;
+      waiter.timer = setTimeout(() => {
+        this.removeWaiter(waiter);
+        reject(new TimeoutError('Timed out waiting for the board'));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  removeWaiter(waiter) {
+    clearTimeout(waiter.timer);
+    const index = this.waiters.indexOf(waiter);
+    if (index > -1) {
+      this.waiters.splice(index, 1);
+    }
+  }
+
+  /**
+   * Send a request and wait for its reply, retrying on timeouts.
+   *
+   * @param {bytes} the request, as returned by the protocol encoder.
+   * @param {waitForReply} function that takes a timeout and returns a
+   *   promise for the reply, such as a call to expect or collect.
+   * @param {options} {timeout, retries}
+   * @return {Promise} which resolves to the reply.
+   */
+  request(bytes, waitForReply, options) {
+    const timeout = (options && options.timeout) || this.timeout;
+    const retries =
+      (options && typeof options.retries === 'number') ?
+        options.retries :
+        DEFAULT_RETRIES;
+    // we wait for the reply before writing, as it may come before the write
+    // drains
+    const reply = waitForReply(timeout);
+    // it may time out while we're still writing, or never come if writing
+    // fails, don't let it reject unhandled
+    reply.catch(function() {});
+    return this.send(bytes).then(() => reply).catch((err) => {
+      if (err instanceof TimeoutError && retries > 0) {
+        return this.request(
+          bytes,
+          waitForReply,
+          {timeout, retries: retries - 1}
+        );
+      }
+      throw err;
+    });
+  }
+
+  /**
+   * Decode bytes from the board and handle the messages they complete.
+   * Emits "oversized" with {opCode, opName, objectID, dataSize} for each
+   * message header announcing more than the decoder accepts.
+   *
+   * @param {data} Buffer of incoming bytes.
+   */
+  receive(data) {
+    clearTimeout(this.stallTimer);
+    this.stallTimer = null;
+    const messages = this.decoder.push(data);
+    if (this.decoder.oversized) {
+      this.emit('oversized', this.decoder.oversized);
+      this.decoder.oversized = null;
+    }
+    messages.forEach((message) => this.handleMessage(message));
+    const stallDelay = this.decoder.stallDelay();
+    if (stallDelay >= 0 && !this.closed) {
+      this.stallTimer = setTimeout(() => this.receive([]), stallDelay + 1);
+    }
+  }
+
+  /**
+   * Hand a message to whoever is waiting for it, or emit it as an
+   * unsolicited "message" event.
+   *
+   * @param {message} structured message, as returned by the protocol decoder.
+   */
+  handleMessage(message) {
+    const waiter = this.waiters.find(function(each) {
+      return each.matcher(message);
+    });
+    if (waiter && waiter.collect) {
+      waiter.collect(message);
+    } else if (waiter) {
+      this.removeWaiter(waiter);
+      waiter.resolve(message);
+    } else {
+      this.emit('message', message);
+    }
+  }
+
+  /**
+   * Read a variable by ID.
+   *
+   * @param {varID} MicroBlocks variable id.
+   * @param {options} {timeout, retries}
+   * @return {Promise} which resolves to the variableValue message.
+   */
+  getVariable(varID, options) {
+    const isReply = function(message) {
+      return message.opCode === OpCodes.variableValue &&
+        message.varID === varID;
+    };
+    return this.request(
+      protocol.getVarValueMessage(varID),
+      (timeout) => this.expect(isReply, timeout),
+      options
+    );
+  }
+
+  /**
+   * Read a variable by name.
+   *
+   * @param {varName} MicroBlocks variable name.
+   * @param {options} {timeout, retries}
+   * @return {Promise} which resolves to the variableValue message.
+   */
+  getNamedVariable(varName, options) {
+    const isReply = function(message) {
+      return message.opCode === OpCodes.variableValue &&
+        message.varID === protocol.NAMED_VAR_ID;
+    };
+    return this.request(
+      protocol.getNamedVarValueMessage(varName),
+      (timeout) => this.expect(isReply, timeout),
+      options
+    );
+  }
+
+  /**
+   * Ask the board for the names of all its variables.
+   *
+   * @param {options} {timeout, retries}
+   * @return {Promise} which resolves to a Map of variable IDs by name.
+   */
+  getVarNames(options) {
+    const isVarName = function(message) {
+      return message.opCode === OpCodes.variableName;
+    };
+    return this.request(
+      protocol.getVarNamesMessage(),
+      (timeout) => this.collect(isVarName, timeout, VAR_NAMES_QUIET_TIME),
+      options
+    ).then(function(messages) {
+      const varIDs = new Map();
+      messages.forEach(function(message) {
+        varIDs.set(message.name, message.varID);
+      });
+      return varIDs;
+    });
+  }
+
+  setVariable(varID, value, type) {
+    return this.send(protocol.setVarValueMessage(varID, value, type));
+  }
+
+  broadcast(message) {
+    return this.send(protocol.broadcastMessage(message));
+  }
+}
+
+module.exports = {
+  MicroBlocksTransport,
+  TimeoutError,
+};